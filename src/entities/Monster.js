@@ -1,3 +1,24 @@
+import WebMarker from './WebMarker.js';
+import RubbleMarker from './RubbleMarker.js';
+import TerrainTypes from '../utils/TerrainTypes.js';
+
+// Boxes a monster may web at once, and the Human Movement Phases a caught unit needs to cut free (13.22)
+const MAX_WEB_BOXES = 2;
+const WEB_CUTTING_PHASES = 2;
+
+// Units a monster may immobilize with fear, and how many boxes away (13.23)
+const MAX_FEAR_TARGETS = 2;
+const FEAR_RANGE = 3;
+
+// Lowest die roll a monster with Great Height needs to grab a helicopter (13.21)
+const GREAT_HEIGHT_GRAB_ROLL = 4;
+
+// Abilities limited to a number of uses per game instead of a per-turn cooldown
+const ABILITY_CHARGES = {
+  blindingLight: 2,
+  mindControl: 1
+};
+
 /**
  * Monster class - Represents the monster that the player controls
  * Implements customizable strengths and special abilities
@@ -38,14 +59,60 @@ class Monster extends Phaser.GameObjects.Container {
       this.abilityCooldowns[ability] = 0;
     });
     
+    // Uses left this game for abilities with limited charges
+    this.abilityCharges = {};
+    this.specialAbilities
+      .filter(ability => ABILITY_CHARGES[ability] !== undefined)
+      .forEach(ability => {
+        this.abilityCharges[ability] = ABILITY_CHARGES[ability];
+      });
+    
+    // Set by Blinding Light until the next Human Combat Phase is over
+    this.blindingLightActive = false;
+    
     // Monster state tracking
     this.isFlying = false;
     this.isInWater = false;
     this.victoryPoints = 0;
     
+    // Boxes flown over this turn, the only ones it may try to destroy (13.28)
+    this.flownOverNodeIds = [];
+    
+    // Set once a flying monster has declared whether it lands this turn
+    this.landingDeclared = false;
+    
+    // Set once the monster moves; Web Spinning needs a whole turn standing still
+    this.movedThisTurn = false;
+    
+    // Death fall of a monster with Great Height: null, 'choosing' or 'falling'
+    this.fallState = null;
+    
     // Track destruction attempts for this turn
     this.remainingDestructionAttempts = 3;
     
+    // Building Destruction Points not yet spent this turn (rule 7.0)
+    this.remainingDestructionPoints = this.strengths.buildingDestruction;
+    
+    // Attack strength not yet committed to attacks this turn (rule 6.23)
+    this.remainingAttackStrength = this.strengths.attack;
+    
+    // Set when a forced retreat ends the monster's attacks for the phase (rule 6.24)
+    this.attacksHalted = false;
+    
+    // Damage boxes checked off against each strength on the record sheet (rule 12.1)
+    this.damageRecord = {
+      attack: 0,
+      defense: 0,
+      buildingDestruction: 0,
+      movement: 0
+    };
+    
+    // Points of damage taken but not yet assigned to a strength
+    this.pendingDamage = 0;
+    
+    // Callbacks waiting for the pending damage to be assigned
+    this.damageCallbacks = [];
+    
     // Create the visual representation
     this.createSprite(config.variant || 'a');
     
@@ -231,14 +298,16 @@ class Monster extends Phaser.GameObjects.Container {
   /**
    * Move monster to a new node
    * @param {number} targetNodeId - ID of the node to move to
+   * @param {object} options - Movement options
+   * @param {boolean} options.confirmOverrun - True once the Monster Player has agreed to overrun units on the way
    * @returns {boolean} True if move was successful
    */
-  moveToNode(targetNodeId) {
+  moveToNode(targetNodeId, options = {}) {
     // Make sure target node exists
     const targetNode = this.scene.mapManager.nodes[targetNodeId];
     if (!targetNode) return false;
     
-    // Get all reachable nodes to check for special movement cases
+    // Get all reachable nodes; boxes held by human units are only reachable by overrunning them
     const reachableNodes = this.scene.mapManager.findReachableNodes(
       this.currentNodeId, 
       this.currentMovementPoints, 
@@ -248,58 +317,54 @@ class Monster extends Phaser.GameObjects.Container {
     // Find the target node in the reachable nodes
     const targetInfo = reachableNodes.find(node => node.id === targetNodeId);
     
+    if (!targetInfo) {
+      console.log(`Monster cannot reach node ${targetNodeId} with ${this.currentMovementPoints} movement points`);
+      return false;
+    }
+    
     // If target node is reachable via special movement
-    if (targetInfo && targetInfo.specialMovement) {
+    if (targetInfo.specialMovement) {
       // Special movement cases handle direct movement without a path
       console.log(`Using special movement '${targetInfo.specialMovement}' to node ${targetNodeId}`);
       
-      // Create a direct path for visualization
-      const path = [this.currentNodeId, targetNodeId];
-      
       // Always use all movement points for special movement
-      this.moveAlongPath(path, this.currentMovementPoints);
+      this.moveAlongPath(targetInfo.path, this.currentMovementPoints);
       return true;
     }
     
-    // Normal pathfinding for standard movement
-    const path = this.scene.mapManager.findPath(this.currentNodeId, targetNodeId, this);
-    
-    if (path.length === 0) {
-      console.log(`No path found from node ${this.currentNodeId} to ${targetNodeId}`);
-      return false;
-    }
-    
-    // Calculate total movement cost
-    let totalCost = 0;
-    for (let i = 0; i < path.length - 1; i++) {
-      const cost = this.scene.mapManager.calculateMovementCost(path[i], path[i + 1], this);
-      
-      // Handle Infinity cost as all movement points
-      if (cost === Infinity) {
-        totalCost = this.currentMovementPoints;
-        break;
+    // Overrunning human non-combat units needs the Monster Player's consent (5.31-5.33)
+    if (targetInfo.overrunNodeIds.length > 0) {
+      if (!options.confirmOverrun) {
+        this.scene.events.emit('monster-overrun-requested', {
+          monster: this,
+          targetNodeId: targetNodeId,
+          overrunNodeIds: targetInfo.overrunNodeIds,
+          attackCost: targetInfo.overrunCost
+        });
+        return false;
       }
       
-      totalCost += cost;
-    }
-    
-    // Check if we have enough movement points
-    if (totalCost > this.currentMovementPoints) {
-      // Check for rule 5.15 - If adjacent, can always move with all movement points
-      const currentNode = this.scene.mapManager.nodes[this.currentNodeId];
+      // Every box must be overrunnable before any of them is overrun
+      const overrunCosts = targetInfo.overrunNodeIds.map(nodeId => 
+        this.scene.combatManager.getOverrunCost(this, this.scene.gameState.getUnitsAtNode(nodeId, 'human'))
+      );
+      const totalCost = overrunCosts.reduce((total, cost) => total + (cost || 0), 0);
       
-      if (currentNode.adjacentNodes.includes(targetNodeId)) {
-        console.log(`Using rule 5.15: Moving to adjacent node ${targetNodeId} by expending all movement points`);
-        this.moveAlongPath([this.currentNodeId, targetNodeId], this.currentMovementPoints);
-        return true;
+      if (this.attacksHalted || overrunCosts.includes(null) || totalCost > this.remainingAttackStrength) {
+        console.log(`Monster cannot overrun every box on the way to node ${targetNodeId}`);
+        return false;
       }
       
-      console.log(`Not enough movement points (${this.currentMovementPoints}) to move to node ${targetNodeId} (cost: ${totalCost})`);
-      return false;
+      targetInfo.overrunNodeIds.forEach(nodeId => this.scene.combatManager.resolveOverrun(this, nodeId));
+    }
+    
+    // Jumps skip the boxes leapt over; they are never entered (13.25)
+    if (targetInfo.jumpedOverNodeIds.length > 0) {
+      console.log(`Monster jumps over node(s) ${targetInfo.jumpedOverNodeIds.join(', ')}`);
     }
     
-    // Move along the path
-    this.moveAlongPath(path, totalCost);
+    // Move along the cheapest legal path
+    this.moveAlongPath(targetInfo.path, targetInfo.cost);
     return true;
   }
   
@@ -307,8 +372,9 @@ class Monster extends Phaser.GameObjects.Container {
    * Move monster along a path of nodes
    * @param {array} path - Array of node IDs to move through
    * @param {number} totalCost - Total movement cost
+   * @param {function} [onComplete] - Called once the monster has arrived
    */
-  moveAlongPath(path, totalCost) {
+  moveAlongPath(path, totalCost, onComplete = null) {
     // Get node coordinates for the path
     const coordinates = path.map(nodeId => {
       const node = this.scene.mapManager.nodes[nodeId];
@@ -341,17 +407,30 @@ class Monster extends Phaser.GameObjects.Container {
     // Update monster data after movement completes
     timeline.on('complete', () => {
       // Update current node and movement points
+      this.previousNodeId = this.currentNodeId;
       this.currentNodeId = path[path.length - 1];
       this.currentMovementPoints -= totalCost;
+      this.movedThisTurn = true;
+      
+      // Remember the boxes passed over in flight
+      if (this.isFlying) {
+        path.slice(1)
+          .filter(nodeId => !this.flownOverNodeIds.includes(nodeId))
+          .forEach(nodeId => this.flownOverNodeIds.push(nodeId));
+      }
       
       // Update water state
       const newNode = this.scene.mapManager.nodes[this.currentNodeId];
       this.isInWater = newNode && newNode.terrainType === 'river';
       
-      // Emit movement completed event
-      this.scene.events.emit('monster-moved', this);
+      // Emit movement completed event with the boxes moved through
+      this.scene.events.emit('monster-moved', this, path);
       
       console.log(`Monster moved to node ${this.currentNodeId}, ${this.currentMovementPoints} MP remaining`);
+      
+      if (onComplete) {
+        onComplete();
+      }
     });
   }
   
@@ -361,9 +440,22 @@ class Monster extends Phaser.GameObjects.Container {
   startTurn() {
     // Reset movement points to full strength
     this.currentMovementPoints = this.strengths.movement;
+    this.movedThisTurn = false;
     
-    // Reset destruction attempts
+    // A monster still airborne declares again whether it lands this turn
+    this.flownOverNodeIds = [];
+    this.landingDeclared = false;
+    
+    // Blinding Light only covers the Human Combat Phase after it was used
+    this.blindingLightActive = false;
+    
+    // Reset destruction attempts and the Destruction Point budget
     this.remainingDestructionAttempts = 3;
+    this.remainingDestructionPoints = this.strengths.buildingDestruction;
+    
+    // Reset the attack budget
+    this.remainingAttackStrength = this.strengths.attack;
+    this.attacksHalted = false;
     
     // Reduce ability cooldowns
     for (const ability in this.abilityCooldowns) {
@@ -387,12 +479,6 @@ class Monster extends Phaser.GameObjects.Container {
       this.scene.mapManager.rangeGraphics.clear();
     }
     
-    // If flying, decide whether to land or remain flying
-    if (this.isFlying) {
-      // For now, always land at the end of the turn
-      this.isFlying = false;
-    }
-    
     // Emit event that monster turn is ending
     this.scene.events.emit('monster-turn-end', this);
     
@@ -400,61 +486,143 @@ class Monster extends Phaser.GameObjects.Container {
   }
   
   /**
-   * Attempt to destroy a building or bridge
-   * @param {number} targetNodeId - ID of the node to attempt to destroy
-   * @returns {boolean} True if destruction was attempted (success determined by dice roll)
+   * Check whether the monster can still make an attack this phase
+   * @returns {boolean} True if attack strength remains and no retreat has halted attacks
    */
-  attemptDestruction(targetNodeId) {
-    // Check if we have destruction attempts remaining
-    if (this.remainingDestructionAttempts <= 0) {
-      console.log('No destruction attempts remaining this turn');
+  canAttack() {
+    return !this.attacksHalted && this.remainingAttackStrength > 0;
+  }
+  
+  /**
+   * Commit part of the monster's attack strength to a single attack
+   * @param {number} points - Attack strength to use in the attack
+   * @returns {boolean} True if the points were available and have been spent
+   */
+  spendAttackStrength(points) {
+    if (this.attacksHalted) {
+      console.log('Monster was forced to retreat and may not attack again this phase');
+      return false;
+    }
+    
+    if (points < 1 || points > this.remainingAttackStrength) {
+      console.log(`Cannot use ${points} attack strength (${this.remainingAttackStrength} remaining)`);
       return false;
     }
     
+    this.remainingAttackStrength -= points;
+    
+    // Emit event for UI updates
+    this.scene.events.emit('monster-attack-strength-changed', this);
+    
+    console.log(`Monster commits ${points} attack strength, ${this.remainingAttackStrength} remaining`);
+    return true;
+  }
+  
+  /**
+   * Stop all further attacks this phase after a forced retreat (rule 6.24)
+   */
+  haltAttacks() {
+    this.attacksHalted = true;
+    console.log('Monster retreated and can make no further attacks this phase');
+  }
+  
+  /**
+   * Check whether the monster can still make a destruction attempt this turn
+   * @returns {boolean} True if attempts and Destruction Points remain
+   */
+  canAttemptDestruction() {
+    return this.remainingDestructionAttempts > 0 && this.remainingDestructionPoints > 0;
+  }
+  
+  /**
+   * Get the reason the monster can't commit points against a box
+   * @param {number} targetNodeId - ID of the node to destroy
+   * @param {number} points - Building Destruction Points to commit
+   * @returns {string|null} Reason the attempt is not allowed, or null if it is
+   */
+  getDestructionRestriction(targetNodeId, points) {
+    if (this.remainingDestructionAttempts <= 0) {
+      return 'No destruction attempts remaining this turn';
+    }
+    
+    if (points < 1 || points > this.remainingDestructionPoints) {
+      return `Only ${this.remainingDestructionPoints} Destruction Points remaining this turn`;
+    }
+    
     // Verify target node exists
     const targetNode = this.scene.mapManager.nodes[targetNodeId];
     if (!targetNode) {
-      console.log(`Target node ${targetNodeId} does not exist`);
-      return false;
+      return `Target node ${targetNodeId} does not exist`;
     }
     
-    // Check if node is adjacent to monster
-    const currentNode = this.scene.mapManager.nodes[this.currentNodeId];
-    if (!currentNode || !currentNode.adjacentNodes.includes(targetNodeId)) {
-      console.log(`Target node ${targetNodeId} is not adjacent to monster at ${this.currentNodeId}`);
-      return false;
+    // A monster that flew this turn may only destroy boxes it flew over (13.28)
+    if (this.isFlying || this.flownOverNodeIds.length > 0) {
+      if (!this.flownOverNodeIds.includes(targetNodeId)) {
+        return 'A flying monster can only destroy boxes it flew over this turn';
+      }
+    } else {
+      // Check if node is adjacent to monster
+      const currentNode = this.scene.mapManager.nodes[this.currentNodeId];
+      if (!currentNode || !currentNode.adjacentNodes.includes(targetNodeId)) {
+        return 'Only adjacent boxes can be destroyed';
+      }
     }
     
     // Check if target is a destroyable terrain type
-    const terrainType = targetNode.terrainType;
-    const isDestroyable = ['lowBuilding', 'highBuilding', 'bridge'].includes(terrainType);
+    if (!this.isDestroyableTerrain(targetNode.terrainType)) {
+      return `${targetNode.terrainType} boxes cannot be destroyed`;
+    }
     
-    if (!isDestroyable) {
-      console.log(`Target node terrain (${terrainType}) cannot be destroyed`);
-      return false;
+    // Attempts below the lowest column of the table are prohibited
+    const minimum = this.scene.dataManager.getMinimumDestructionPoints(
+      this.getTargetDestructionStrength(targetNode.terrainType)
+    );
+    if (points < minimum) {
+      return `At least ${minimum} Destruction Points are needed against this box`;
     }
     
-    // Reduce destruction attempts
-    this.remainingDestructionAttempts--;
+    return null;
+  }
+  
+  /**
+   * Check whether a terrain type can be destroyed
+   * @param {string} terrainType - Type of terrain
+   * @returns {boolean} True for building and bridge boxes
+   */
+  isDestroyableTerrain(terrainType) {
+    return ['lowBuilding', 'highBuilding', 'bridge'].includes(terrainType);
+  }
+  
+  /**
+   * Attempt to destroy a building or bridge
+   * @param {number} targetNodeId - ID of the node to attempt to destroy
+   * @param {number} points - Building Destruction Points committed to the attempt
+   * @returns {boolean} True if destruction was attempted (success determined by dice roll)
+   */
+  attemptDestruction(targetNodeId, points) {
+    const restriction = this.getDestructionRestriction(targetNodeId, points);
+    if (restriction) {
+      console.log(restriction);
+      return false;
+    }
     
-    // TODO: Roll dice and determine if destruction succeeds based on Building Destruction Rules
-    // For now, use a basic calculation
-    const destructionStrength = this.strengths.buildingDestruction;
+    const terrainType = this.scene.mapManager.nodes[targetNodeId].terrainType;
     const buildingStrength = this.getTargetDestructionStrength(terrainType);
     
-    // Calculate odds
-    const ratio = Math.floor(destructionStrength / buildingStrength);
-    const cappedRatio = Math.min(5, Math.max(1, ratio)); // Cap between 1-5
-    
-    // Roll a die (1-6)
+    // Roll a die (1-6) on the Building Destruction Results Table
     const dieRoll = Math.floor(Math.random() * 6) + 1;
+    const result = this.scene.dataManager.getDestructionResult(points, buildingStrength, dieRoll);
+    if (!result) {
+      return false;
+    }
     
-    // Simplified destruction table
-    // Higher ratios and higher rolls mean more likely to succeed
-    const successThreshold = 7 - cappedRatio; // 5-1 ratio needs 2+, 1-1 ratio needs 6
-    const success = dieRoll >= successThreshold;
+    // Spend the attempt and the committed points
+    this.remainingDestructionAttempts--;
+    this.remainingDestructionPoints -= points;
     
-    console.log(`Destruction attempt: ${destructionStrength} vs ${buildingStrength} (${cappedRatio}:1 odds), rolled ${dieRoll}, ${success ? 'SUCCESS' : 'FAILED'}`);
+    const success = result.destroyed;
+    
+    console.log(`Destruction attempt: ${points} vs ${buildingStrength} (${result.odds}), rolled ${dieRoll}, ${success ? 'SUCCESS' : 'FAILED'}`);
     
     // If successful, mark the node as destroyed
     if (success) {
@@ -467,8 +635,10 @@ class Monster extends Phaser.GameObjects.Container {
       targetNodeId: targetNodeId,
       success: success,
       dieRoll: dieRoll,
-      ratio: cappedRatio,
-      remainingAttempts: this.remainingDestructionAttempts
+      ratio: result.odds,
+      points: points,
+      remainingAttempts: this.remainingDestructionAttempts,
+      remainingPoints: this.remainingDestructionPoints
     });
     
     return true;
@@ -589,6 +759,12 @@ class Monster extends Phaser.GameObjects.Container {
       return false;
     }
     
+    // Check if a limited ability has charges left
+    if (this.abilityCharges[abilityName] === 0) {
+      console.log(`${abilityName} has no uses left this game`);
+      return false;
+    }
+    
     // Handle different abilities
     switch (abilityName) {
       case 'flying':
@@ -598,11 +774,17 @@ class Monster extends Phaser.GameObjects.Container {
         return this.useFireBreathing(targetInfo.nodeId);
         
       case 'webSpinning':
-        return this.useWebSpinning(targetInfo.nodeId);
+        return this.useWebSpinning(targetInfo.nodeIds);
         
       case 'fearImmobilization':
         return this.useFearImmobilization(targetInfo.unitIds);
         
+      case 'blindingLight':
+        return this.useBlindingLight();
+        
+      case 'mindControl':
+        return this.useMindControl(targetInfo.unitId);
+      
       // Add more abilities as needed
         
       default:
@@ -612,11 +794,23 @@ class Monster extends Phaser.GameObjects.Container {
   }
   
   /**
-   * Use the Flying ability
+   * Use the Flying ability. The monster takes off before moving and stays
+   * airborne until it declares a landing at the end of a Movement Phase.
    * @returns {boolean} True if successful
    */
   useFlying() {
+    if (this.isFlying) {
+      console.log('Monster is already flying');
+      return false;
+    }
+    
+    if (this.movedThisTurn) {
+      console.log('The monster must take off before it moves');
+      return false;
+    }
+    
     this.isFlying = true;
+    this.landingDeclared = false;
     this.abilityCooldowns.flying = 1; // Can only be used once per turn
     
     console.log('Monster is now flying');
@@ -630,6 +824,42 @@ class Monster extends Phaser.GameObjects.Container {
     return true;
   }
   
+  /**
+   * Check whether a flying monster may land in its current box: the terrain
+   * must be passable to it on the ground and hold no human units
+   * @returns {boolean} True if the monster can land
+   */
+  canLand() {
+    const node = this.scene.mapManager.nodes[this.currentNodeId];
+    if (!node || this.scene.mapManager.getMovementCost(node.terrainType, 'monster') < 0) return false;
+    
+    return this.scene.gameState.getUnitsAtNode(this.currentNodeId, 'human').length === 0;
+  }
+  
+  /**
+   * Declare at the end of the Movement Phase whether a flying monster lands
+   * (13.28). A landed monster closes its box to human units; an airborne
+   * one lets every unit but helicopters move in.
+   * @param {boolean} land - True to land, false to stay airborne
+   * @returns {boolean} True if the declaration was accepted
+   */
+  declareLanding(land) {
+    if (!this.isFlying) return false;
+    
+    if (land && !this.canLand()) {
+      console.log(`Monster cannot land at node ${this.currentNodeId}`);
+      return false;
+    }
+    
+    this.isFlying = !land;
+    this.landingDeclared = true;
+    
+    console.log(land ? `Monster landed at node ${this.currentNodeId}` : 'Monster stays airborne');
+    
+    this.scene.events.emit('monster-landing-declared', { monster: this, landed: land });
+    return true;
+  }
+  
   /**
    * Use the Fire Breathing ability
    * @param {number} targetNodeId - ID of node to breathe fire on
@@ -687,19 +917,40 @@ class Monster extends Phaser.GameObjects.Container {
   }
   
   /**
-   * Use the Web Spinning ability
-   * @param {number} targetNodeId - ID of node to place web
+   * Get the adjacent boxes the monster could web
+   * @returns {array} IDs of adjacent boxes without a web
+   */
+  getWebTargets() {
+    const currentNode = this.scene.mapManager.nodes[this.currentNodeId];
+    if (!currentNode) return [];
+    
+    return currentNode.adjacentNodes.filter(nodeId => 
+      !this.scene.gameState.hasMarker(nodeId, 'web')
+    );
+  }
+  
+  /**
+   * Use the Web Spinning ability. A monster that stayed in its box for the
+   * whole Movement Phase webs one or two adjacent boxes (13.22).
+   * @param {array} targetNodeIds - IDs of the boxes to web
    * @returns {boolean} True if successful
    */
-  useWebSpinning(targetNodeId) {
-    // Verify target exists
-    const targetNode = this.scene.mapManager.nodes[targetNodeId];
-    if (!targetNode) return false;
+  useWebSpinning(targetNodeIds) {
+    if (!targetNodeIds || targetNodeIds.length === 0 || targetNodeIds.length > MAX_WEB_BOXES) {
+      console.log(`Web Spinning needs 1 to ${MAX_WEB_BOXES} target boxes`);
+      return false;
+    }
     
-    // Check if node is adjacent to monster
-    const currentNode = this.scene.mapManager.nodes[this.currentNodeId];
-    if (!currentNode || !currentNode.adjacentNodes.includes(targetNodeId)) {
-      console.log(`Target node ${targetNodeId} is not adjacent to monster`);
+    if (this.movedThisTurn) {
+      console.log('Monster moved this turn and cannot spin webs');
+      return false;
+    }
+    
+    // Every box must be adjacent and not yet webbed
+    const webTargets = this.getWebTargets();
+    const invalid = targetNodeIds.find(nodeId => !webTargets.includes(nodeId));
+    if (invalid !== undefined || new Set(targetNodeIds).size !== targetNodeIds.length) {
+      console.log(`Cannot spin a web at node ${invalid !== undefined ? invalid : targetNodeIds.join(', ')}`);
       return false;
     }
     
@@ -709,26 +960,61 @@ class Monster extends Phaser.GameObjects.Container {
     // Set cooldown
     this.abilityCooldowns.webSpinning = 1;
     
-    console.log(`Web placed at node ${targetNodeId}`);
-    
-    // TODO: Create web marker on the node
-    // For now just emit an event
-    this.scene.events.emit('web-placed', {
-      nodeId: targetNodeId
-    });
+    for (const nodeId of targetNodeIds) {
+      const node = this.scene.mapManager.nodes[nodeId];
+      new WebMarker(this.scene, node.x, node.y, nodeId);
+      
+      // Units already in the box must cut themselves free
+      const trappedUnits = this.scene.gameState.getUnitsAtNode(nodeId);
+      trappedUnits.forEach(unit => {
+        unit.webbedPhases = WEB_CUTTING_PHASES;
+        if (typeof unit.updateStatusIndicator === 'function') unit.updateStatusIndicator();
+      });
+      
+      console.log(`Web placed at node ${nodeId}, trapping ${trappedUnits.length} unit(s)`);
+      
+      this.scene.events.emit('web-placed', {
+        nodeId: nodeId,
+        trappedUnits: trappedUnits
+      });
+    }
     
     // Emit event about the ability use
     this.scene.events.emit('monster-ability-used', {
       monsterId: this.id,
       ability: 'webSpinning',
-      targetNodeId: targetNodeId
+      targetNodeIds: targetNodeIds
     });
     
     return true;
   }
   
   /**
-   * Use the Fear Immobilization ability
+   * Get the units the monster could immobilize with fear: within three boxes
+   * and in its line of sight
+   * @returns {array} Eligible human units
+   */
+  getFearTargets() {
+    const mapManager = this.scene.mapManager;
+    const nodesInRange = mapManager.getNodesInRange(this.currentNodeId, FEAR_RANGE);
+    
+    return this.scene.gameState.getUnitsControlledBy('human').filter(unit => 
+      nodesInRange[unit.currentNodeId] !== undefined &&
+      mapManager.hasLineOfSight(this.currentNodeId, unit.currentNodeId, this)
+    );
+  }
+  
+  /**
+   * Get the number of units the monster designates for fear
+   * @returns {number} Two, or fewer if fewer units are eligible
+   */
+  getFearTargetCount() {
+    return Math.min(MAX_FEAR_TARGETS, this.getFearTargets().length);
+  }
+  
+  /**
+   * Use the Fear Immobilization ability. At the start of the Human Movement
+   * Phase the monster designates two units, which can't move that phase (13.23).
    * @param {array} unitIds - IDs of units to immobilize
    * @returns {boolean} True if successful
    */
@@ -738,9 +1024,26 @@ class Monster extends Phaser.GameObjects.Container {
       return false;
     }
     
+    if (unitIds.length > MAX_FEAR_TARGETS || new Set(unitIds).size !== unitIds.length) {
+      console.log(`Fear Immobilization designates up to ${MAX_FEAR_TARGETS} different units`);
+      return false;
+    }
+    
+    const targets = this.getFearTargets();
+    const units = unitIds.map(unitId => targets.find(unit => unit.id === unitId));
+    if (units.includes(undefined)) {
+      console.log(`Fear Immobilization targets must be within ${FEAR_RANGE} boxes and in the monster's line of sight`);
+      return false;
+    }
+    
     // Set cooldown
     this.abilityCooldowns.fearImmobilization = 1;
     
+    units.forEach(unit => {
+      unit.fearImmobilized = true;
+      if (typeof unit.updateStatusIndicator === 'function') unit.updateStatusIndicator();
+    });
+    
     console.log(`Units immobilized by fear: ${unitIds.join(', ')}`);
     
     // Emit event about the ability use
@@ -754,51 +1057,313 @@ class Monster extends Phaser.GameObjects.Container {
   }
   
   /**
-   * Take damage from combat
+   * Use the Blinding Light ability: the monster can't be attacked during the
+   * next Human Combat Phase. It may be used twice per game.
+   * @returns {boolean} True if successful
+   */
+  useBlindingLight() {
+    if (this.blindingLightActive) {
+      console.log('Blinding Light is already active');
+      return false;
+    }
+    
+    this.abilityCharges.blindingLight--;
+    this.blindingLightActive = true;
+    
+    console.log(`Blinding Light used, ${this.abilityCharges.blindingLight} use(s) left`);
+    
+    // Emit event about the ability use
+    this.scene.events.emit('monster-ability-used', {
+      monsterId: this.id,
+      ability: 'blindingLight',
+      chargesLeft: this.abilityCharges.blindingLight
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Get the human units the monster could seize with Mind Control: any unit
+   * in its line of sight
+   * @returns {array} Eligible human units
+   */
+  getMindControlTargets() {
+    const mapManager = this.scene.mapManager;
+    
+    return this.scene.gameState.getUnitsControlledBy('human').filter(unit => 
+      mapManager.hasLineOfSight(this.currentNodeId, unit.currentNodeId, this)
+    );
+  }
+  
+  /**
+   * Use the Mind Control ability: once per game the Monster Player takes one
+   * human unit in the monster's line of sight, and moves and attacks with it
+   * until the unit is destroyed or the monster dies (13.27)
+   * @param {string} unitId - ID of the unit to seize
+   * @returns {boolean} True if successful
+   */
+  useMindControl(unitId) {
+    const unit = this.getMindControlTargets().find(target => target.id === unitId);
+    if (!unit) {
+      console.log('Mind Control targets a human unit in the monster\'s line of sight');
+      return false;
+    }
+    
+    this.abilityCharges.mindControl--;
+    
+    if (typeof unit.setController === 'function') {
+      unit.setController('monster');
+    } else {
+      unit.controller = 'monster';
+    }
+    
+    // The unit may act for its new controller straight away
+    if (typeof unit.resetMovementPoints === 'function') unit.resetMovementPoints();
+    
+    console.log(`Monster seized ${unit.type} at node ${unit.currentNodeId} with Mind Control`);
+    
+    // Emit event about the ability use
+    this.scene.events.emit('monster-ability-used', {
+      monsterId: this.id,
+      ability: 'mindControl',
+      unitId: unitId,
+      chargesLeft: this.abilityCharges.mindControl
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Take damage from combat.
+   * Each point must be checked off against a strength of the Monster Player's
+   * choice (rule 12.1), so the damage is queued until allocateDamage assigns it.
    * @param {number} amount - Amount of damage to take
-   * @returns {boolean} True if monster was destroyed (defense reduced to 0)
+   * @param {function} onAllocated - Called once every point has been assigned
+   * @returns {boolean} True if damage is now waiting to be allocated
+   */
+  takeDamage(amount, onAllocated = null) {
+    if (amount <= 0 || this.isDestroyed()) {
+      if (onAllocated) onAllocated(this);
+      return false;
+    }
+    
+    this.pendingDamage += amount;
+    if (onAllocated) {
+      this.whenDamageAllocated(onAllocated);
+    }
+    
+    console.log(`Monster took ${amount} damage, ${this.pendingDamage} point(s) to allocate`);
+    
+    // Ask the Monster Player where the damage goes
+    this.scene.events.emit('monster-damage-pending', {
+      monster: this,
+      amount: amount,
+      pendingDamage: this.pendingDamage
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Check whether damage is waiting to be allocated
+   * @returns {boolean} True if the Monster Player still has points to assign
+   */
+  hasPendingDamage() {
+    return this.pendingDamage > 0;
+  }
+  
+  /**
+   * Run a callback once all pending damage has been assigned
+   * @param {function} callback - Called with the monster; runs immediately if nothing is pending
+   */
+  whenDamageAllocated(callback) {
+    if (this.hasPendingDamage()) {
+      this.damageCallbacks.push(callback);
+    } else {
+      callback(this);
+    }
+  }
+  
+  /**
+   * Get the strengths a point of damage may be assigned to
+   * @returns {array} Strength keys that are still above zero
+   */
+  getDamageableStrengths() {
+    return Object.keys(this.damageRecord).filter(key => this.strengths[key] > 0);
+  }
+  
+  /**
+   * Check off one point of pending damage against a strength
+   * @param {string} strength - 'attack', 'defense', 'buildingDestruction' or 'movement'
+   * @returns {boolean} True if the point was assigned
    */
-  takeDamage(amount) {
-    if (amount <= 0) return false;
+  allocateDamage(strength) {
+    if (this.pendingDamage <= 0) {
+      console.log('Monster has no damage to allocate');
+      return false;
+    }
+    
+    if (!this.getDamageableStrengths().includes(strength)) {
+      console.log(`Cannot allocate damage to ${strength}`);
+      return false;
+    }
     
-    // Reduce defense by damage amount
-    this.strengths.defense = Math.max(0, this.strengths.defense - amount);
+    this.strengths[strength]--;
+    this.damageRecord[strength]++;
+    this.pendingDamage--;
+    
+    // Budgets already granted this turn can't exceed the reduced strength
+    if (strength === 'attack') {
+      this.remainingAttackStrength = Math.min(this.remainingAttackStrength, this.strengths.attack);
+    } else if (strength === 'buildingDestruction') {
+      this.remainingDestructionPoints = Math.min(this.remainingDestructionPoints, this.strengths.buildingDestruction);
+    } else if (strength === 'movement') {
+      this.currentMovementPoints = Math.min(this.currentMovementPoints, this.strengths.movement);
+    }
     
-    // Update health bar
     this.updateHealthBar();
     
-    console.log(`Monster took ${amount} damage, defense now ${this.strengths.defense}/${this.strengths.maxDefense}`);
+    console.log(`Monster checked off 1 ${strength} (now ${this.strengths[strength]}), ${this.pendingDamage} point(s) left to allocate`);
+    
+    // The monster is destroyed only when its defense is gone (rule 12.2)
+    if (this.isDestroyed()) {
+      this.pendingDamage = 0;
+    }
+    
+    this.scene.events.emit('monster-damage-allocated', {
+      monster: this,
+      strength: strength,
+      pendingDamage: this.pendingDamage
+    });
+    
+    if (this.pendingDamage === 0) {
+      this.finishDamageAllocation();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Resume everything that waited for the damage to be assigned
+   */
+  finishDamageAllocation() {
+    const callbacks = this.damageCallbacks;
+    this.damageCallbacks = [];
     
-    // Check if monster is destroyed
-    if (this.strengths.defense <= 0) {
+    if (this.isDestroyed()) {
       this.onDestroyed();
-      return true;
     }
     
-    return false;
+    callbacks.forEach(callback => callback(this));
+  }
+  
+  /**
+   * Check whether the monster has been destroyed
+   * @returns {boolean} True if its defense strength is zero
+   */
+  isDestroyed() {
+    return this.strengths.defense <= 0;
   }
   
   /**
-   * Handle monster destruction
+   * Handle monster destruction. A monster with Great Height first falls on a
+   * box the Monster Player chooses; it only leaves play once it has landed.
    */
   onDestroyed() {
     console.log('Monster has been destroyed!');
     
+    // Game over waits until the Monster Player has chosen where it falls (13.21)
+    if (this.specialAbilities.includes('greatHeight')) {
+      if (this.fallState) return;
+      
+      this.fallState = 'choosing';
+      this.scene.events.emit('monster-fall-requested', {
+        monster: this,
+        nodeIds: this.getFallTargets()
+      });
+      return;
+    }
+    
     // Emit destroyed event
     this.scene.events.emit('monster-destroyed', this);
     
     // TODO: Play destruction animation
+  }
+  
+  /**
+   * Get the boxes a monster with Great Height may fall on: its own box or
+   * any adjacent box (13.21)
+   * @returns {Array<number>} IDs of the boxes it may fall on
+   */
+  getFallTargets() {
+    const currentNode = this.scene.mapManager.nodes[this.currentNodeId];
+    if (!currentNode) return [];
     
-    // If monster has Great Height ability, it crushes what it falls on
-    if (this.specialAbilities.includes('greatHeight')) {
-      // Let player choose where monster falls
-      // For now, just fall in place
-      this.crushOnDeath(this.currentNodeId);
+    return [this.currentNodeId, ...currentNode.adjacentNodes.filter(nodeId => this.scene.mapManager.nodes[nodeId])];
+  }
+  
+  /**
+   * Get the lowest die roll the monster needs to grab a helicopter. Great
+   * Height improves any grab to 4-6 (13.21).
+   * @param {number} baseRoll - Lowest successful roll under the grab rule
+   * @returns {number} Lowest successful roll for this monster
+   */
+  getHelicopterGrabRoll(baseRoll) {
+    if (!this.specialAbilities.includes('greatHeight')) return baseRoll;
+    
+    return Math.min(baseRoll, GREAT_HEIGHT_GRAB_ROLL);
+  }
+  
+  /**
+   * Fall on the chosen box and leave play once the collapse has played out
+   * @param {number} targetNodeId - ID of the box to fall on
+   * @returns {boolean} True if the fall was made
+   */
+  fallOnto(targetNodeId) {
+    if (this.fallState !== 'choosing') return false;
+    
+    if (!this.getFallTargets().includes(targetNodeId)) {
+      console.log(`Monster cannot fall on node ${targetNodeId}`);
+      return false;
     }
+    
+    this.fallState = 'falling';
+    
+    // The box is crushed as the monster hits the ground
+    this.playCollapse(targetNodeId, () => {
+      this.crushOnDeath(targetNodeId);
+      this.scene.events.emit('monster-destroyed', this);
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Topple the monster over onto the box it falls on
+   * @param {number} targetNodeId - ID of the box it falls on
+   * @param {function} onComplete - Called once the monster has hit the ground
+   */
+  playCollapse(targetNodeId, onComplete) {
+    const targetNode = this.scene.mapManager.nodes[targetNodeId];
+    
+    this.scene.tweens.add({
+      targets: this,
+      x: targetNode.x,
+      y: targetNode.y,
+      angle: targetNode.x < this.x ? -90 : 90,
+      alpha: 0.4,
+      duration: 1200,
+      ease: 'Quad.easeIn',
+      onComplete: () => {
+        this.scene.cameras.main.shake(400, 0.01);
+        this.scene.time.delayedCall(600, onComplete);
+      }
+    });
   }
   
   /**
-   * Crush a node when monster with Great Height dies
+   * Crush a node when monster with Great Height dies. The box becomes
+   * rubble and every unit in it is destroyed (13.21).
    * @param {number} targetNodeId - ID of node to crush
    */
   crushOnDeath(targetNodeId) {
@@ -808,15 +1373,36 @@ class Monster extends Phaser.GameObjects.Container {
     
     console.log(`Monster crushes node ${targetNodeId} as it falls`);
     
-    // Change terrain to rubble
-    targetNode.terrainType = 'rubble';
-    
-    // TODO: Destroy any units in the node
-    
-    // Emit event
+    // Score the box and its units before they are destroyed, since losing
+    // the last unit can end the game before a later award is counted
+    const originalTerrain = targetNode.terrainType;
+    const destroyedUnits = [...this.scene.gameState.getUnitsAtNode(targetNodeId)];
     this.scene.events.emit('node-crushed', {
-      nodeId: targetNodeId
+      monster: this,
+      nodeId: targetNodeId,
+      originalTerrain: originalTerrain,
+      destroyedUnits: destroyedUnits,
+      victoryPoints: TerrainTypes.getInfo(originalTerrain).victoryPoints
     });
+    
+    // Flames in the box go out with it
+    if (this.scene.fireManager) {
+      this.scene.fireManager.removeFire(targetNodeId);
+    }
+    
+    // Change terrain to rubble; a crushed bridge leaves only the river
+    if (originalTerrain === 'bridge') {
+      targetNode.terrainType = 'river';
+    } else if (originalTerrain !== 'river') {
+      targetNode.terrainType = 'rubble';
+      
+      if (!this.scene.gameState.hasMarker(targetNodeId, 'rubble')) {
+        new RubbleMarker(this.scene, targetNode.x, targetNode.y, targetNodeId);
+      }
+    }
+    
+    // Every unit in the box is destroyed, whoever controls it
+    destroyedUnits.forEach(unit => this.scene.combatManager.destroyUnit(unit));
   }
 }
 
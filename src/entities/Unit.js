@@ -18,6 +18,10 @@ class Unit extends Phaser.GameObjects.Container {
     this.currentNodeId = nodeId;
     this.faction = 'human';
     
+    // Player currently moving and attacking with the unit; Mind Control
+    // hands it to the monster (rule 13.27)
+    this.controller = 'human';
+    
     // Default stats
     this.stats = {
       movementPoints: 4,
@@ -31,6 +35,12 @@ class Unit extends Phaser.GameObjects.Container {
     // Track current movement points (reset at beginning of turn)
     this.currentMovementPoints = this.stats.movementPoints;
     
+    // Human Movement Phases still needed to cut free of a web (rule 13.22)
+    this.webbedPhases = 0;
+    
+    // Set by Fear Immobilization for one Human Movement Phase (rule 13.23)
+    this.fearImmobilized = false;
+    
     // Create visual representation
     this.createSprite();
     
@@ -69,8 +79,17 @@ class Unit extends Phaser.GameObjects.Container {
       fontStyle: 'bold'
     }).setOrigin(0.5);
     
+    // Status shown under the counter, e.g. fear or web
+    this.statusText = this.scene.add.text(0, 22, '', {
+      fontFamily: 'Arial',
+      fontSize: '10px',
+      color: '#FFFFFF',
+      backgroundColor: '#660099',
+      padding: { x: 2, y: 1 }
+    }).setOrigin(0.5).setVisible(false);
+    
     // Add the graphics and text to this container
-    this.add([unitGraphic, text]);
+    this.add([unitGraphic, text, this.statusText]);
     
     // Add interactive behavior
     this.setInteractive(new Phaser.Geom.Circle(0, 0, 15), Phaser.Geom.Circle.Contains);
@@ -130,6 +149,24 @@ class Unit extends Phaser.GameObjects.Container {
     const targetNode = this.scene.mapManager.nodes[targetNodeId];
     if (!targetNode) return false;
     
+    // A webbed unit spends its Movement Phase cutting free
+    if (this.isTrappedInWeb()) {
+      console.log(`Unit is caught in a web for ${this.webbedPhases} more Movement Phase(s)`);
+      return false;
+    }
+    
+    // Fear holds the unit in place this Movement Phase, though it may still attack
+    if (this.fearImmobilized) {
+      console.log('Unit is immobilized by fear this Movement Phase');
+      return false;
+    }
+    
+    // Human units may never enter the monster's box (5.22)
+    if (!this.scene.mapManager.canEnterBox(this, targetNodeId)) {
+      console.log(`Cannot move into the monster's box at node ${targetNodeId}`);
+      return false;
+    }
+    
     // Get all reachable nodes to check for special movement cases
     const reachableNodes = this.scene.mapManager.findReachableNodes(
       this.currentNodeId, 
@@ -199,8 +236,9 @@ class Unit extends Phaser.GameObjects.Container {
    * Move unit along a path of nodes
    * @param {array} path - Array of node IDs to move through
    * @param {number} totalCost - Total movement cost
+   * @param {function} [onComplete] - Called once the unit has arrived
    */
-  moveAlongPath(path, totalCost) {
+  moveAlongPath(path, totalCost, onComplete = null) {
     // Get node coordinates for the path
     const coordinates = path.map(nodeId => {
       const node = this.scene.mapManager.nodes[nodeId];
@@ -254,6 +292,7 @@ class Unit extends Phaser.GameObjects.Container {
     // Update unit data after movement completes
     timeline.on('complete', () => {
       // Update current node and movement points
+      this.previousNodeId = this.currentNodeId;
       this.currentNodeId = path[path.length - 1];
       this.currentMovementPoints -= totalCost;
       
@@ -261,6 +300,10 @@ class Unit extends Phaser.GameObjects.Container {
       this.scene.events.emit('unit-moved', this);
       
       console.log(`Unit ${this.type} moved to node ${this.currentNodeId}, ${this.currentMovementPoints} MP remaining`);
+      
+      if (onComplete) {
+        onComplete();
+      }
     });
   }
   
@@ -269,6 +312,12 @@ class Unit extends Phaser.GameObjects.Container {
    * Also handles the artillery towing mechanic
    */
   resetMovementPoints() {
+    // Units caught in a web can't move until they cut free
+    if (this.isTrappedInWeb()) {
+      this.currentMovementPoints = 0;
+      return;
+    }
+    
     // Check for towing mechanic (artillery being towed by armor)
     if (this.type === 'artillery' && this.isTowed) {
       // When towed, the artillery unit moves with its towing armor unit
@@ -298,6 +347,51 @@ class Unit extends Phaser.GameObjects.Container {
     this.currentMovementPoints = this.stats.movementPoints;
   }
   
+  /**
+   * Check whether the unit is still cutting itself free of a web
+   * @returns {boolean} True if the unit can neither move nor attack
+   */
+  isTrappedInWeb() {
+    return this.webbedPhases > 0;
+  }
+  
+  /**
+   * Hand the unit to another player
+   * @param {string} controller - The player now controlling the unit ('human' or 'monster')
+   */
+  setController(controller) {
+    if (this.controller === controller) return;
+    
+    this.controller = controller;
+    this.updateStatusIndicator();
+    
+    console.log(`${this.type} at node ${this.currentNodeId} is now controlled by the ${controller} player`);
+    
+    this.scene.events.emit('unit-controller-changed', { unit: this, controller: controller });
+  }
+  
+  /**
+   * Check whether a player currently controls this unit
+   * @param {string} player - The player ('human' or 'monster')
+   * @returns {boolean} True if the player moves and attacks with the unit
+   */
+  isControlledBy(player) {
+    return this.controller === player;
+  }
+  
+  /**
+   * Show the unit's mind control, fear or web status on its counter
+   */
+  updateStatusIndicator() {
+    const statuses = [];
+    if (this.controller === 'monster') statuses.push('MIND');
+    if (this.fearImmobilized) statuses.push('FEAR');
+    if (this.isTrappedInWeb()) statuses.push(`WEB ${this.webbedPhases}`);
+    
+    this.statusText.setText(statuses.join(' '));
+    this.statusText.setVisible(statuses.length > 0);
+  }
+  
   /**
    * Find artillery units in the same node (for towing mechanic)
    * @returns {Unit|null} Artillery unit to tow, or null if none found
@@ -0,0 +1,133 @@
+/**
+ * WebMarker.js - Web spun by a monster with Web Spinning (rule 13.22)
+ * A webbed box is impassable to human units for the rest of the game
+ */
+class WebMarker extends Phaser.GameObjects.Container {
+  /**
+   * @param {Phaser.Scene} scene - The scene this web marker belongs to
+   * @param {number} x - The x position of this marker
+   * @param {number} y - The y position of this marker
+   * @param {number} nodeId - The ID of the node this web is on
+   */
+  constructor(scene, x, y, nodeId) {
+    super(scene, x, y);
+    
+    this.id = `web-${Date.now()}-${Math.floor(Math.random() * 1000)}`; // Unique ID
+    this.type = 'web';
+    this.nodeId = nodeId;
+    
+    // Create the visual representation
+    this.createVisuals();
+    
+    // Add to the scene
+    scene.add.existing(this);
+    
+    // Add pointer interactions
+    this.setInteractive(new Phaser.Geom.Circle(0, 0, 20), Phaser.Geom.Circle.Contains);
+    this.on('pointerover', this.onHover, this);
+    this.on('pointerout', this.onHoverEnd, this);
+    
+    // Emit event that a web marker has been placed
+    scene.events.emit('marker-placed', this);
+  }
+  
+  /**
+   * Create visual representation of the web
+   */
+  createVisuals() {
+    this.sprite = this.scene.add.sprite(0, 0, 'web');
+    this.sprite.setScale(0.7);
+    this.sprite.setAlpha(0.85);
+    this.add(this.sprite);
+  }
+  
+  /**
+   * Handle hover on web marker
+   */
+  onHover() {
+    // Scale up slightly to indicate hover
+    this.sprite.setScale(0.8);
+    
+    // Show tooltip with info
+    this.showTooltip();
+  }
+  
+  /**
+   * Handle hover end
+   */
+  onHoverEnd() {
+    // Reset scale
+    this.sprite.setScale(0.7);
+    
+    // Hide tooltip
+    this.hideTooltip();
+  }
+  
+  /**
+   * Show tooltip with web information
+   */
+  showTooltip() {
+    if (this.tooltip) {
+      this.hideTooltip();
+    }
+    
+    const text = [
+      'Web',
+      `Node: ${this.nodeId}`,
+      'Impassable to human units',
+      'Burns away if fire enters the box'
+    ].join('\n');
+    
+    this.tooltip = this.scene.add.text(
+      this.x + 30,
+      this.y - 20,
+      text,
+      {
+        fontSize: '14px',
+        backgroundColor: '#00000099',
+        padding: { x: 5, y: 5 },
+        color: '#FFFFFF'
+      }
+    );
+    
+    this.tooltip.setDepth(1000); // Ensure it's on top
+  }
+  
+  /**
+   * Hide the tooltip
+   */
+  hideTooltip() {
+    if (this.tooltip) {
+      this.tooltip.destroy();
+      this.tooltip = null;
+    }
+  }
+  
+  /**
+   * Burn the web away when fire enters its box
+   */
+  burn() {
+    console.log(`Web at node ${this.nodeId} burned away`);
+    
+    // Emit burned event before the marker is removed
+    this.scene.events.emit('web-burned', { nodeId: this.nodeId });
+    
+    this.destroy();
+  }
+  
+  /**
+   * Destroy this web marker
+   */
+  destroy() {
+    // Hide tooltip if visible
+    this.hideTooltip();
+    
+    // Emit marker removed event before destruction
+    this.scene.events.emit('marker-removed', this);
+    
+    // Call parent destroy method
+    super.destroy();
+  }
+}
+
+export default WebMarker;
@@ -1,6 +1,18 @@
+import TerrainTypes from '../utils/TerrainTypes.js';
+
 /**
  * CombatManager.js - Handles combat resolution between units and monsters
  */
+
+// Odds the monster needs to overrun human non-combat units during movement (rule 5.31)
+const OVERRUN_ODDS = 6;
+
+// Monster ability that keeps units in different boxes from combining attacks (rule 13.26)
+const RADIATION_ABILITY = 'radiation';
+
+// Monster ability throwing lightning over low buildings at range (rule 13.13)
+const LIGHTNING_ABILITY = 'lightningThrowing';
+
 class CombatManager {
   /**
    * @param {Phaser.Scene} scene - The scene this manager belongs to
@@ -15,6 +27,18 @@ class CombatManager {
     // Track current combat state
     this.activeCombat = null;
     
+    // Set while a combat result waits for the monster's damage to be allocated
+    this.awaitingDamageAllocation = false;
+    
+    // Retreats still to be resolved for the current combat, in order (rule 6.33)
+    this.pendingRetreats = [];
+    
+    // Retreat waiting for the owning player to choose a box
+    this.activeRetreat = null;
+    
+    // Called once every pending retreat has been resolved
+    this.retreatsCompleteCallback = null;
+    
     // Set up event listeners
     this.setupEvents();
   }
@@ -41,35 +65,75 @@ class CombatManager {
   /**
    * Initiate combat between units
    * @param {Object} params - Combat parameters
-   * @param {Unit|Monster} params.attacker - The attacking unit/monster
+   * @param {Unit|Monster|Array<Unit>} params.attacker - The attacking unit/monster, or a group of human units
+   * @param {Array<Unit>} [params.attackers] - Group of human units combining into one attack (rule 6.14)
    * @param {Unit|Monster} params.defender - The defending unit/monster
-   * @param {boolean} params.isRanged - Whether this is a ranged attack
+   * @param {Array<Unit>} [params.defenders] - Units in one box attacked together by the monster (rule 6.23)
+   * @param {number} [params.attackStrength] - Part of the monster's attack strength used in this attack
    */
   initiateCombat(params) {
     console.log('Combat initiated:', params);
     
+    // The previous combat isn't finished until its damage and retreats are resolved
+    if (this.isResolutionPending()) {
+      console.warn('Combat must wait until the previous result has been fully applied');
+      return;
+    }
+    
+    // A single attack may combine any number of human units (6.14)
+    const attackers = this.toParticipantList(params.attackers || params.attacker);
+    
+    // The monster may attack any or all of the units in a box (6.23)
+    const defenders = this.toParticipantList(params.defenders || params.defender);
+    
+    // A monster attack uses only the strength allocated to it
+    const monster = attackers.find(a => a.constructor.name === 'Monster');
+    const attackStrength = monster ? 
+      (params.attackStrength !== undefined ? params.attackStrength : monster.remainingAttackStrength) : 
+      undefined;
+    
     // Validate combat participants
-    if (!this.validateCombatants(params.attacker, params.defender)) {
+    if (!this.validateCombatants(attackers, defenders, attackStrength)) {
       return;
     }
     
     // Store current combat state
     this.activeCombat = {
-      attacker: params.attacker,
-      defender: params.defender,
-      isRanged: params.isRanged || false,
-      terrainModifiers: this.calculateTerrainModifiers(params.defender),
-      specialModifiers: this.calculateSpecialModifiers(params.attacker, params.defender)
+      attacker: attackers[0],
+      attackers: attackers,
+      defender: defenders[0],
+      defenders: defenders,
+      attackStrength: attackStrength,
+      isRanged: this.isRangedAttack(attackers, defenders[0]),
+      terrainModifiers: this.calculateTerrainModifiers(defenders[0]),
+      specialModifiers: this.calculateSpecialModifiers(attackers, defenders)
     };
     
     // Calculate combat odds
     const odds = this.calculateCombatOdds();
     
+    // Attacks at worse than the lowest column are not allowed
+    if (!odds && this.dataManager.isLoaded.combatTables) {
+      console.warn('Attack prohibited: odds are worse than the lowest combat table column');
+      this.activeCombat = null;
+      return;
+    }
+    
+    // Commit the allocated part of the monster's attack strength
+    if (monster && !monster.spendAttackStrength(attackStrength)) {
+      this.activeCombat = null;
+      return;
+    }
+    
     // Roll for result
     const dieRoll = this.rollDie();
     
     // Get result from combat table
     const result = this.resolveCombat(odds, dieRoll);
+    if (!result) {
+      this.activeCombat = null;
+      return;
+    }
     
     // Apply combat result to units
     this.applyCombatResult(result, dieRoll);
@@ -78,37 +142,285 @@ class CombatManager {
     this.activeCombat = null;
   }
   
+  /**
+   * Normalize a combat participant parameter into an array
+   * @param {Unit|Monster|Array} participant - A single participant or a group
+   * @returns {Array} Participants with empty entries removed
+   */
+  toParticipantList(participant) {
+    const list = Array.isArray(participant) ? participant : [participant];
+    return list.filter(Boolean);
+  }
+  
+  /**
+   * Get the special abilities of a combat participant
+   * @param {Unit|Monster} participant - The unit or monster
+   * @returns {Array<string>} Special ability keys
+   */
+  getAbilities(participant) {
+    return participant.specialAbilities || participant.stats?.specialAbilities || [];
+  }
+  
   /**
    * Validate combat participants
-   * @param {Unit|Monster} attacker - The attacking unit
-   * @param {Unit|Monster} defender - The defending unit
+   * @param {Unit|Monster|Array<Unit>} attacker - The attacking unit, or a group of human units
+   * @param {Unit|Monster|Array<Unit>} defender - The defending unit, or units in one box attacked by the monster
+   * @param {number} [attackStrength] - Part of the monster's attack strength used in this attack
    * @returns {boolean} True if combat is valid
    */
-  validateCombatants(attacker, defender) {
+  validateCombatants(attacker, defender, attackStrength) {
+    const attackers = this.toParticipantList(attacker);
+    const defenders = this.toParticipantList(defender);
+    
     // Check if participants exist
-    if (!attacker || !defender) {
+    if (attackers.length === 0 || defenders.length === 0) {
       console.error('Invalid combat participants: Missing attacker or defender');
       return false;
     }
     
+    // Only human units may combine their strengths into one attack
+    if (attackers.length > 1 && attackers.some(a => a.constructor.name === 'Monster')) {
+      console.error('Only human units may combine into a single attack');
+      return false;
+    }
+    
+    // Every participant must be able to attack each defender on its own
+    for (const participant of attackers) {
+      for (const target of defenders) {
+        const restriction = this.getCombatRestriction(participant, target);
+        
+        if (restriction) {
+          console.error(restriction);
+          return false;
+        }
+      }
+    }
+    
+    // Combined attacks must respect the defender's grouping rules
+    for (let i = 1; i < attackers.length; i++) {
+      const restriction = this.getAttackGroupRestriction(attackers.slice(0, i), attackers[i], defenders[0]);
+      
+      if (restriction) {
+        console.error(restriction);
+        return false;
+      }
+    }
+    
+    // Monster attacks must respect the attack budget and target selection rules
+    if (attackers[0].constructor.name === 'Monster') {
+      const restriction = this.getMonsterAttackRestriction(attackers[0], defenders, attackStrength);
+      
+      if (restriction) {
+        console.error(restriction);
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Check whether a monster attack with the given targets and strength is allowed
+   * @param {Monster} monster - The attacking monster
+   * @param {Array<Unit>} defenders - Units targeted by the attack
+   * @param {number} attackStrength - Part of the monster's attack strength used in this attack
+   * @returns {string|null} Reason the attack is not allowed, or null if it is
+   */
+  getMonsterAttackRestriction(monster, defenders, attackStrength) {
+    // No further attacks after a forced retreat (6.24)
+    if (monster.attacksHalted) {
+      return 'Monster was forced to retreat and may not attack again this phase';
+    }
+    
+    // The attack may only use strength not yet committed this turn (6.23)
+    if (!attackStrength || attackStrength < 1) {
+      return 'Monster attacks must use at least 1 attack strength';
+    }
+    
+    if (attackStrength > monster.remainingAttackStrength) {
+      return `Monster has only ${monster.remainingAttackStrength} attack strength remaining`;
+    }
+    
+    // Units attacked together must share a box
+    const nodeId = defenders[0].currentNodeId;
+    if (defenders.some(target => target.currentNodeId !== nodeId)) {
+      return 'Units attacked together must be in the same box';
+    }
+    
+    // Firemen, helicopters and populace may only be attacked along with
+    // every other unit in their box
+    if (defenders.some(target => this.isProtectedFromMonster(target))) {
+      const unprotected = this.gameState.getUnitsAtNode(nodeId, 'human')
+        .filter(unit => !this.isProtectedFromMonster(unit));
+      
+      if (unprotected.some(unit => !defenders.includes(unit))) {
+        return 'Firemen, helicopter and populace units may only be attacked if every other unit in the box is also attacked';
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Check whether a unit may only be attacked by the monster together with
+   * the rest of its box (rule 6.23)
+   * @param {Unit} unit - The unit to check
+   * @returns {boolean} True for firemen, helicopter and populace units
+   */
+  isProtectedFromMonster(unit) {
+    return ['firemen', 'helicopter', 'populace'].includes(unit.type);
+  }
+  
+  /**
+   * Check whether a unit is a human non-combat unit
+   * @param {Unit} unit - The unit to check
+   * @returns {boolean} True for populace and units that may only defend (firemen, fireboats)
+   */
+  isNonCombatUnit(unit) {
+    return unit.type === 'populace' || this.getAbilities(unit).includes('defendOnly');
+  }
+  
+  /**
+   * Get the attack strength the monster must commit to overrun a box (rules 5.31-5.33)
+   * @param {Monster} monster - The moving monster
+   * @param {Array<Unit>} units - The human units in the box
+   * @returns {number|null} Attack strength giving 6-1 odds, or null if the box can't be overrun
+   */
+  getOverrunCost(monster, units) {
+    // Only a monster on the ground may overrun
+    if (monster.isFlying || units.length === 0) return null;
+    
+    // The box must be held solely by non-combat units
+    if (!units.every(unit => this.isNonCombatUnit(unit))) return null;
+    
+    const defense = units.reduce((total, unit) => 
+      total + (unit.stats?.defense || 0) * this.calculateTerrainModifiers(unit).defenseMultiplier, 0);
+    
+    return Math.max(1, defense * OVERRUN_ODDS);
+  }
+  
+  /**
+   * Overrun the human non-combat units in a box the monster moves into.
+   * The attack strength used is spent and unavailable in the following Combat Phase.
+   * @param {Monster} monster - The moving monster
+   * @param {number} nodeId - ID of the box being overrun
+   * @returns {boolean} True if the units were overrun
+   */
+  resolveOverrun(monster, nodeId) {
+    const units = this.gameState.getUnitsAtNode(nodeId, 'human');
+    const cost = this.getOverrunCost(monster, units);
+    
+    if (cost === null) {
+      console.warn(`Box ${nodeId} cannot be overrun`);
+      return false;
+    }
+    
+    if (!monster.spendAttackStrength(cost)) {
+      return false;
+    }
+    
+    units.forEach(unit => this.destroyUnit(unit));
+    
+    console.log(`Monster overran ${units.length} unit(s) in box ${nodeId} using ${cost} attack strength`);
+    
+    this.scene.events.emit('monster-overrun', {
+      monster: monster,
+      nodeId: nodeId,
+      attackStrength: cost,
+      destroyedUnits: units
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Check whether a unit may join other human units in one combined attack.
+   * Units normally combine freely (6.14); Radiation limits an attack to
+   * the units of a single box (13.26).
+   * @param {Array<Unit>} attackers - Units already in the attack
+   * @param {Unit} candidate - Unit joining the attack
+   * @param {Monster} defender - The monster being attacked
+   * @returns {string|null} Reason the unit can't join, or null if it can
+   */
+  getAttackGroupRestriction(attackers, candidate, defender) {
+    if (attackers.length === 0) return null;
+    
+    if (this.getAbilities(defender).includes(RADIATION_ABILITY) &&
+        attackers.some(attacker => attacker.currentNodeId !== candidate.currentNodeId)) {
+      return `Radiation: only units in the same box may attack together. Resolve the attack from box ${attackers[0].currentNodeId} first`;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Describe the grouping rule limiting an attack being built
+   * @param {Array<Unit>} attackers - Units already in the attack
+   * @param {Monster} defender - The monster being attacked
+   * @returns {string} Description, or an empty string if units combine freely
+   */
+  describeAttackGroupRule(attackers, defender) {
+    if (attackers.length === 0 || !this.getAbilities(defender).includes(RADIATION_ABILITY)) return '';
+    
+    return `Radiation: box ${attackers[0].currentNodeId} units only`;
+  }
+  
+  /**
+   * Check whether one attacker may attack a defender
+   * @param {Unit|Monster} attacker - The attacking unit
+   * @param {Unit|Monster} defender - The defending unit
+   * @returns {string|null} Reason the attack is not allowed, or null if it is
+   */
+  getCombatRestriction(attacker, defender) {
+    // Check if participants exist
+    if (!attacker || !defender) {
+      return 'Invalid combat participants: Missing attacker or defender';
+    }
+    
+    // Units with a parenthesized strength may only defend (6.11)
+    if (this.getAbilities(attacker).includes('defendOnly')) {
+      return `${attacker.type || 'Unit'} units may only defend`;
+    }
+    
+    // Blinding Light keeps the monster from being attacked this Combat Phase
+    if (defender.blindingLightActive) {
+      return 'The monster is shielded by Blinding Light and can\'t be attacked this phase';
+    }
+    
+    // Units caught in a web can't attack until they cut free (13.22)
+    if (attacker.webbedPhases > 0) {
+      return `${attacker.type || 'Unit'} is caught in a web and can't attack`;
+    }
+    
     // Check if attacker can attack
     if (attacker.currentMovementPoints <= 0) {
-      console.error('Attacker has no movement points remaining');
-      return false;
+      return 'Attacker has no movement points remaining';
     }
     
-    // Check if units are in adjacent nodes (unless ranged attack)
-    const isAdjacent = this.scene.mapManager.areNodesAdjacent(
+    // Check the target is within range: the shortest box path, counting the
+    // target's box but not the attacker's (6.13)
+    const distance = this.scene.mapManager.getRangeDistance(
       attacker.currentNodeId, 
       defender.currentNodeId
     );
+    const range = this.dataManager.getAttackRange(attacker);
     
-    const hasRangedAttack = attacker.specialAbilities && 
-                           attacker.specialAbilities.includes('rangedAttack');
+    if (distance > range) {
+      return range > 1 ? 
+        `Target is out of range (${distance} boxes away, range ${range})` : 
+        'Units must be adjacent for combat (or attacker must have range greater than 1)';
+    }
     
-    if (!isAdjacent && !hasRangedAttack) {
-      console.error('Units must be adjacent for combat (or attacker must have ranged attack)');
-      return false;
+    // Attacks from beyond an adjacent box need a clear line of sight (6.11, 6.12)
+    if (distance > 1 &&
+        !this.scene.mapManager.hasLineOfSight(attacker.currentNodeId, defender.currentNodeId, attacker, this.getSightMode(attacker))) {
+      return 'No line of sight to the target';
+    }
+    
+    // A flying monster only reaches its own box and adjacent helicopters (13.28)
+    if (attacker.constructor.name === 'Monster' && attacker.isFlying &&
+        distance > 0 && !(distance === 1 && defender.type === 'helicopter')) {
+      return 'A flying monster can only attack units in its own box and adjacent helicopters';
     }
     
     // Check if units are on the same node
@@ -117,82 +429,118 @@ class CombatManager {
       const isMonsterAttackingUnit = attacker.constructor.name === 'Monster' && 
                                     defender.constructor.name === 'Unit';
       
-      if (!isMonsterAttackingUnit) {
-        console.error('Units on the same node cannot attack each other (except monster)');
-        return false;
+      // Units that moved in under an airborne monster may attack it there (13.28)
+      const isUnitAttackingFlyingMonster = defender.constructor.name === 'Monster' && 
+                                          defender.isFlying;
+      
+      if (!isMonsterAttackingUnit && !isUnitAttackingFlyingMonster) {
+        return 'Units on the same node cannot attack each other (except monster or units under a flying monster)';
       }
     }
     
-    // Check for valid factions (only opposing factions can attack)
-    const attackerFaction = attacker.constructor.name === 'Monster' ? 'monster' : 'human';
-    const defenderFaction = defender.constructor.name === 'Monster' ? 'monster' : 'human';
-    
-    if (attackerFaction === defenderFaction) {
-      console.error('Units of the same faction cannot attack each other');
-      return false;
+    // Only units controlled by opposing players can attack each other
+    if (this.gameState.getController(attacker) === this.gameState.getController(defender)) {
+      return 'Units controlled by the same player cannot attack each other';
     }
     
-    return true;
+    return null;
+  }
+  
+  /**
+   * Get the sight mode an attacker traces its line of sight with
+   * @param {Unit|Monster} attacker - The attacking unit or monster
+   * @returns {string} 'lightning' for a monster throwing lightning, otherwise 'default'
+   */
+  getSightMode(attacker) {
+    return attacker.constructor.name === 'Monster' && this.getAbilities(attacker).includes(LIGHTNING_ABILITY) ?
+      'lightning' : 'default';
+  }
+  
+  /**
+   * Check whether every attacker fires from beyond range 1 of the defender,
+   * leaving the attacking side immune to combat results (6.32, 13.13)
+   * @param {Array} attackers - All participants in the attack
+   * @param {Unit|Monster} defender - The defending unit
+   * @returns {boolean} True for a purely ranged attack
+   */
+  isRangedAttack(attackers, defender) {
+    return this.getAffectedAttackers(attackers, defender).length === 0;
+  }
+  
+  /**
+   * Get the attackers that can be affected by combat results.
+   * Attackers beyond range 1 of the defender are never affected (6.32, 6.33).
+   * @param {Array} attackers - All participants in the attack
+   * @param {Unit|Monster} defender - The defending unit
+   * @returns {Array} Attackers that suffer losses and retreats
+   */
+  getAffectedAttackers(attackers, defender) {
+    return attackers.filter(attacker => 
+      this.scene.mapManager.getRangeDistance(attacker.currentNodeId, defender.currentNodeId) <= 1
+    );
   }
   
   /**
-   * Calculate terrain modifiers for combat
+   * Calculate terrain modifiers for combat.
+   * Terrain never adds to strength; boxes whose Terrain Effects Chart entry is
+   * 'defx2' double the defender's strength. Monsters and helicopters never
+   * gain terrain defensive benefits.
    * @param {Unit|Monster} defender - The defending unit
    * @returns {Object} Terrain modifiers
    */
   calculateTerrainModifiers(defender) {
-    const nodeId = defender.currentNodeId;
-    const node = this.scene.mapManager.nodes[nodeId];
-    
-    if (!node) return { attack: 0, defense: 0 };
-    
-    // Terrain defense bonuses
-    const terrainDefenseModifiers = {
-      'rubble': 1,
-      'lowBuilding': 2,
-      'highBuilding': 3,
-      'park': 0,
-      'street': 0,
-      'river': -1,  // Penalty when defending in water (except for waterborne units)
-      'bridge': 0
+    const modifiers = {
+      attack: 0,  // Terrain doesn't affect attack strength
+      defense: 0,
+      defenseMultiplier: 1,
+      terrainType: null,
+      source: null
     };
     
-    let defenseMod = terrainDefenseModifiers[node.terrainType] || 0;
+    const node = this.scene.mapManager.nodes[defender.currentNodeId];
+    if (!node) return modifiers;
+    
+    modifiers.terrainType = node.terrainType;
     
-    // Special case for waterborne units
-    if (node.terrainType === 'river' && 
-        defender.specialAbilities && 
-        defender.specialAbilities.includes('waterOnly')) {
-      defenseMod = 1;  // Waterborne units get bonus in water
+    // Monsters and helicopters are exempt from terrain effects
+    if (defender.constructor.name === 'Monster' || defender.type === 'helicopter') {
+      return modifiers;
     }
     
-    return {
-      attack: 0,  // Terrain doesn't affect attack strength
-      defense: defenseMod
-    };
+    const terrain = TerrainTypes.getInfo(node.terrainType);
+    if (terrain.combatEffect === 'defx2') {
+      modifiers.defenseMultiplier = 2;
+      modifiers.source = terrain.name;
+    }
+    
+    return modifiers;
   }
   
   /**
    * Calculate special ability modifiers for combat
-   * @param {Unit|Monster} attacker - The attacking unit
-   * @param {Unit|Monster} defender - The defending unit
+   * @param {Unit|Monster|Array<Unit>} attacker - The attacking unit, or a group of human units
+   * @param {Unit|Monster|Array<Unit>} defender - The defending unit, or units attacked together
    * @returns {Object} Special ability modifiers
    */
   calculateSpecialModifiers(attacker, defender) {
-    const attackMod = 0;
+    let attackMod = 0;
     let defenseMod = 0;
     
-    // Check for special abilities
-    if (attacker.specialAbilities) {
+    const defenderAbilities = this.toParticipantList(defender)
+      .reduce((abilities, target) => abilities.concat(this.getAbilities(target)), []);
+    
+    // Check for special abilities of every attacking participant
+    this.toParticipantList(attacker).forEach(participant => {
+      const attackerAbilities = this.getAbilities(participant);
+      
       // Example: Flying units get +1 when attacking non-flying units
-      if (attacker.specialAbilities.includes('flying') && 
-          (!defender.specialAbilities || !defender.specialAbilities.includes('flying'))) {
+      if (attackerAbilities.includes('flying') && !defenderAbilities.includes('flying')) {
         attackMod += 1;
       }
-    }
+    });
     
     // Check defender special abilities
-    if (defender.specialAbilities) {
+    if (defenderAbilities.length > 0) {
       // Add defensive bonuses
     }
     
@@ -203,39 +551,50 @@ class CombatManager {
   }
   
   /**
-   * Calculate combat odds ratio
-   * @returns {number} Odds ratio (positive for attacker advantage, negative for defender advantage)
+   * Calculate modified attack and defense strengths for the active combat
+   * @returns {Object} Attack and defense strengths
    */
-  calculateCombatOdds() {
-    const { attacker, defender, terrainModifiers, specialModifiers } = this.activeCombat;
+  calculateCombatStrengths() {
+    const { attackers, defenders, attackStrength: allocated, terrainModifiers, specialModifiers } = this.activeCombat;
     
-    // Get base strength values
-    let attackStrength = attacker.strengths ? attacker.strengths.attack : attacker.stats.attack;
-    let defenseStrength = defender.strengths ? defender.strengths.defense : defender.stats.defense;
+    // Get base strength values (combined attacks total every participant's strength,
+    // while the monster uses only the part of its attack strength allocated to this attack)
+    let attackStrength = allocated !== undefined ? allocated : attackers.reduce((total, attacker) => 
+      total + (attacker.strengths ? attacker.strengths.attack : attacker.stats.attack), 0);
+    // Each defender's strength is multiplied by its own terrain effect, since
+    // helicopters in a doubled box still defend at face value
+    let defenseStrength = defenders.reduce((total, defender) => {
+      const baseDefense = defender.strengths ? defender.strengths.defense : defender.stats.defense;
+      return total + baseDefense * this.calculateTerrainModifiers(defender).defenseMultiplier;
+    }, 0);
     
     // Apply modifiers
     attackStrength += terrainModifiers.attack + specialModifiers.attack;
-    defenseStrength += terrainModifiers.defense + specialModifiers.defense;
+    defenseStrength += specialModifiers.defense;
     
     // Ensure positive values
     attackStrength = Math.max(1, attackStrength);
     defenseStrength = Math.max(1, defenseStrength);
     
-    // Calculate odds ratio
-    let ratio;
-    if (attackStrength >= defenseStrength) {
-      ratio = Math.floor(attackStrength / defenseStrength);
-      // Cap at 5-1 for display
-      ratio = Math.min(5, ratio);
-    } else {
-      ratio = -Math.floor(defenseStrength / attackStrength);
-      // Cap at 1-3 for display
-      ratio = Math.max(-3, ratio);
-    }
+    return {
+      attack: attackStrength,
+      defense: defenseStrength
+    };
+  }
+  
+  /**
+   * Calculate combat odds column
+   * @returns {string|null} Odds column (e.g. "1-2", "3-1") or null if the attack is prohibited
+   */
+  calculateCombatOdds() {
+    const strengths = this.calculateCombatStrengths();
     
-    console.log(`Combat odds: ${attackStrength}:${defenseStrength} (${ratio > 0 ? ratio + ':1' : '1:' + Math.abs(ratio)})`);
+    // Find the combat table column (rounded down in favor of the defender)
+    const odds = this.dataManager.getOddsColumn(strengths.attack, strengths.defense);
     
-    return ratio;
+    console.log(`Combat odds: ${strengths.attack}:${strengths.defense} (${odds || 'prohibited'})`);
+    
+    return odds;
   }
   
   /**
@@ -250,7 +609,7 @@ class CombatManager {
   
   /**
    * Resolve combat using odds and die roll
-   * @param {number} odds - Odds ratio
+   * @param {string} odds - Odds column
    * @param {number} dieRoll - Die roll result
    * @returns {Object} Combat result
    */
@@ -260,16 +619,10 @@ class CombatManager {
     
     if (this.dataManager.isLoaded.combatTables) {
       // Get attacker and defender strengths for data manager
-      const { attacker, defender, terrainModifiers, specialModifiers } = this.activeCombat;
-      
-      const attackStrength = (attacker.strengths ? attacker.strengths.attack : attacker.stats.attack) + 
-                           terrainModifiers.attack + specialModifiers.attack;
-                           
-      const defenseStrength = (defender.strengths ? defender.strengths.defense : defender.stats.defense) + 
-                            terrainModifiers.defense + specialModifiers.defense;
+      const strengths = this.calculateCombatStrengths();
       
       // Get result from combat tables
-      result = this.dataManager.getCombatResult(attackStrength, defenseStrength, dieRoll);
+      result = this.dataManager.getCombatResult(strengths.attack, strengths.defense, dieRoll);
     } else {
       // Fallback if combat tables aren't loaded
       console.warn('Combat tables not loaded, using fallback resolution');
@@ -282,171 +635,331 @@ class CombatManager {
   
   /**
    * Fallback combat resolution when tables aren't loaded
-   * @param {number} odds - Odds ratio
+   * @param {string} odds - Odds column
    * @param {number} dieRoll - Die roll result
    * @returns {Object} Combat result
    */
   fallbackCombatResolution(odds, dieRoll) {
     // Simple fallback logic:
-    // - High roll + positive odds: defender suffers
-    // - Low roll + negative odds: attacker suffers
+    // - High roll + favorable odds: defender suffers
+    // - Low roll + poor odds: attacker suffers
     // - Middle values: mixed results
+    const noEffect = { losses: 0, retreat: false };
+    const favorable = this.dataManager.parseOddsColumn(odds);
     
-    if (odds > 0) {
+    if (favorable && favorable.attacker > favorable.defender) {
       // Attacker has advantage
       if (dieRoll >= 5) {
-        return { defender: 'eliminated', attacker: 'none' }; // DE
+        return { odds, code: '-/2', attacker: noEffect, defender: { losses: 2, retreat: false } };
       } else if (dieRoll >= 3) {
-        return { defender: 'retreat', attacker: 'none' }; // DR
+        return { odds, code: '-/1', attacker: noEffect, defender: { losses: 1, retreat: false } };
       } else if (dieRoll >= 2) {
-        return { defender: 'none', attacker: 'none' }; // NE
+        return { odds, code: '1/1', attacker: { losses: 1, retreat: false }, defender: { losses: 1, retreat: false } };
       } else {
-        return { defender: 'none', attacker: 'retreat' }; // AR
+        return { odds, code: 'r1/-', attacker: { losses: 0, retreat: true }, defender: noEffect };
       }
     } else {
       // Defender has advantage
       if (dieRoll <= 2) {
-        return { defender: 'none', attacker: 'eliminated' }; // AE
+        return { odds, code: '2/-', attacker: { losses: 2, retreat: false }, defender: noEffect };
       } else if (dieRoll <= 4) {
-        return { defender: 'none', attacker: 'retreat' }; // AR
+        return { odds, code: 'r1/-', attacker: { losses: 0, retreat: true }, defender: noEffect };
       } else if (dieRoll <= 5) {
-        return { defender: 'none', attacker: 'none' }; // NE
+        return { odds, code: '1/1', attacker: { losses: 1, retreat: false }, defender: { losses: 1, retreat: false } };
       } else {
-        return { defender: 'retreat', attacker: 'none' }; // DR
+        return { odds, code: '-/1', attacker: noEffect, defender: { losses: 1, retreat: false } };
       }
     }
   }
   
   /**
-   * Apply combat result to units
+   * Apply combat result to units.
+   * Defender results are applied before attacker results (rule 6.31).
    * @param {Object} result - Combat result
    * @param {number} dieRoll - Die roll result
    */
   applyCombatResult(result, dieRoll) {
-    const { attacker, defender } = this.activeCombat;
-    let attackerDestroyed = false;
-    let defenderDestroyed = false;
-    
-    // Apply result to defender
-    switch (result.defender) {
-      case 'eliminated':
-        // Destroy defender
-        defenderDestroyed = true;
-        break;
-        
-      case 'retreat':
-        // Retreat defender
-        this.retreatUnit(defender);
-        break;
-        
-      case 'damage':
-        // Damage defender
-        if (defender.constructor.name === 'Monster') {
-          const damageAmount = Math.ceil(defender.strengths.defense * 0.25); // 25% damage
-          defenderDestroyed = defender.takeDamage(damageAmount);
-        }
-        break;
-    }
+    const { attacker, attackers, defender, defenders, isRanged } = this.activeCombat;
     
-    // Apply result to attacker
-    switch (result.attacker) {
-      case 'eliminated':
-        // Destroy attacker
-        attackerDestroyed = true;
-        break;
-        
-      case 'retreat':
-        // Retreat attacker
-        this.retreatUnit(attacker);
-        break;
-        
-      case 'damage':
-        // Damage attacker
-        if (attacker.constructor.name === 'Monster') {
-          const damageAmount = Math.ceil(attacker.strengths.defense * 0.25); // 25% damage
-          attackerDestroyed = attacker.takeDamage(damageAmount);
-        }
-        break;
-    }
+    // Apply result to defender first, then to the attackers that can be affected.
+    // Ranged attacks leave the attacking side untouched.
+    const affectedAttackers = isRanged ? [] : this.getAffectedAttackers(attackers, defender);
+    const defenderOutcome = this.applySideResult(defenders, result.defender);
+    const attackerOutcome = this.applySideResult(affectedAttackers, result.attacker);
     
-    // Destroy units if needed
-    if (defenderDestroyed) {
-      this.destroyUnit(defender);
-    }
+    // Consume attackers' movement points (always costs all movement for attack)
+    attackers.forEach(participant => {
+      if (participant.currentMovementPoints) {
+        participant.currentMovementPoints = 0;
+      }
+    });
     
-    if (attackerDestroyed) {
-      this.destroyUnit(attacker);
+    // A forced retreat ends the monster's attacks for this phase (6.24)
+    if (attacker.constructor.name === 'Monster' && affectedAttackers.includes(attacker) && result.attacker.retreat) {
+      attacker.haltAttacks();
     }
     
-    // Consume attacker's movement points (always costs all movement for attack)
-    if (attacker.currentMovementPoints) {
-      attacker.currentMovementPoints = 0;
-    }
+    const defenderIsMonster = defender.constructor.name === 'Monster';
+    const attackerIsMonster = attacker.constructor.name === 'Monster';
+    const totalDefenderLosses = result.defender.losses;
+    const totalAttackerLosses = affectedAttackers.length > 0 ? result.attacker.losses : 0;
     
-    // Emit combat resolved event
-    this.scene.events.emit('combat-resolved', {
+    const resolution = {
       attacker: attacker,
+      attackers: attackers,
       defender: defender,
+      defenders: defenders,
       result: result,
+      odds: result.odds,
       dieRoll: dieRoll,
-      winner: result.defender === 'eliminated' ? 'attacker' : 
-              (result.attacker === 'eliminated' ? 'defender' : 'draw'),
-      unitDestroyed: defenderDestroyed,
-      monsterDamaged: defender.constructor.name === 'Monster' && result.defender === 'damage',
-      damageAmount: defender.constructor.name === 'Monster' && result.defender === 'damage' ? 
-                    Math.ceil(defender.strengths.defense * 0.25) : 0
+      isRanged: isRanged,
+      winner: totalDefenderLosses > totalAttackerLosses || result.defender.retreat ? 'attacker' :
+              (totalAttackerLosses > totalDefenderLosses || (affectedAttackers.length > 0 && result.attacker.retreat) ? 'defender' : 'draw'),
+      destroyedUnits: [...defenderOutcome.destroyedUnits, ...attackerOutcome.destroyedUnits],
+      unitDestroyed: defenderOutcome.destroyedUnits.length > 0,
+      monsterDamaged: (defenderIsMonster && totalDefenderLosses > 0) || (attackerIsMonster && totalAttackerLosses > 0),
+      damageAmount: (defenderIsMonster ? totalDefenderLosses : 0) + (attackerIsMonster ? totalAttackerLosses : 0)
+    };
+    
+    // Score the result now, before a destroyed monster can end the game
+    this.scene.events.emit('combat-result-applied', resolution);
+    
+    // Resolution pauses until the Monster Player has assigned every point of
+    // damage and the owning players have chosen where units retreat
+    const monster = defenderIsMonster ? defender : (attackerIsMonster ? attacker : null);
+    this.waitForDamageAllocation(monster, () => {
+      this.startRetreats(() => {
+        // Emit combat resolved event
+        this.scene.events.emit('combat-resolved', resolution);
+      });
     });
   }
   
   /**
-   * Force a unit to retreat
+   * Check whether the last combat result is still being applied
+   * @returns {boolean} True while damage or retreats are waiting for a player's choice
+   */
+  isResolutionPending() {
+    return this.awaitingDamageAllocation || this.activeRetreat !== null || this.pendingRetreats.length > 0;
+  }
+  
+  /**
+   * Run a callback once the monster's pending damage has been allocated
+   * @param {Monster|null} monster - The monster that may have damage to allocate
+   * @param {function} callback - Called when no damage is pending
+   */
+  waitForDamageAllocation(monster, callback) {
+    if (!monster || !monster.hasPendingDamage()) {
+      callback();
+      return;
+    }
+    
+    this.awaitingDamageAllocation = true;
+    monster.whenDamageAllocated(() => {
+      this.awaitingDamageAllocation = false;
+      callback();
+    });
+  }
+  
+  /**
+   * Apply one side of a combat result to a participant.
+   * Human losses eliminate that many units; monster losses are points of damage.
+   * Eliminated units are picked in the order given by getCasualtyOrder.
+   * @param {Unit|Monster|Array} participant - The unit(s) or monster on this side
+   * @param {Object} sideResult - Result for this side ({ losses, retreat })
+   * @returns {Object} Outcome with the units destroyed
+   */
+  applySideResult(participant, sideResult) {
+    const outcome = { destroyedUnits: [] };
+    if (!sideResult) return outcome;
+    
+    const participants = this.toParticipantList(participant);
+    
+    // Monster: each loss is one point of damage
+    const monster = participants.find(p => p.constructor.name === 'Monster');
+    if (monster) {
+      if (sideResult.losses > 0) {
+        monster.takeDamage(sideResult.losses);
+      }
+      
+      // A surviving monster retreats once its damage has been assigned
+      if (sideResult.retreat) {
+        monster.whenDamageAllocated(() => {
+          if (!monster.isDestroyed()) {
+            this.retreatUnit(monster);
+          }
+        });
+      }
+      
+      return outcome;
+    }
+    
+    // Human units: each loss eliminates one unit
+    const losses = Math.min(sideResult.losses, participants.length);
+    const casualties = this.getCasualtyOrder(participants).slice(0, losses);
+    casualties.forEach(unit => {
+      this.destroyUnit(unit);
+      outcome.destroyedUnits.push(unit);
+    });
+    
+    // Survivors retreat together
+    if (sideResult.retreat) {
+      participants.filter(unit => !casualties.includes(unit)).forEach(unit => this.retreatUnit(unit));
+    }
+    
+    return outcome;
+  }
+  
+  /**
+   * Order human units for elimination. The owning player loses the units the
+   * monster scores least for first, so the Monster Player gains as few
+   * victory points as the result allows; units of equal value keep the order
+   * they were committed to the combat in.
+   * @param {Array<Unit>} units - Human units on one side of the combat
+   * @returns {Array<Unit>} The same units, first casualty first
+   */
+  getCasualtyOrder(units) {
+    return [...units].sort((a, b) => this.gameState.getUnitPointValue(a) - this.gameState.getUnitPointValue(b));
+  }
+  
+  /**
+   * Force a unit to retreat one box. The retreat is queued and resolved in
+   * order once the owning player has chosen a legal box (rule 6.33).
    * @param {Unit|Monster} unit - The unit to retreat
    */
   retreatUnit(unit) {
-    // Get possible retreat paths
-    const currentNode = this.scene.mapManager.nodes[unit.currentNodeId];
-    if (!currentNode) return;
-    
-    // Get adjacent nodes that aren't occupied by enemies
-    const adjacentNodes = currentNode.adjacentNodes
-      .map(nodeId => this.scene.mapManager.nodes[nodeId])
-      .filter(node => {
-        // Check if node exists
-        if (!node) return false;
-        
-        // Check if node is blocked by terrain
-        if (['rubble', 'highBuilding'].includes(node.terrainType)) {
-          return false;
-        }
+    this.pendingRetreats.push(unit);
+  }
+  
+  /**
+   * Start resolving the queued retreats
+   * @param {function} onComplete - Called once every retreat has been resolved
+   */
+  startRetreats(onComplete) {
+    this.retreatsCompleteCallback = onComplete;
+    this.requestNextRetreat();
+  }
+  
+  /**
+   * Ask the owning player where the next queued unit retreats to.
+   * Units without a legal box are destroyed; a monster takes one damage instead.
+   */
+  requestNextRetreat() {
+    while (this.pendingRetreats.length > 0) {
+      const unit = this.pendingRetreats.shift();
+      const isMonster = unit.constructor.name === 'Monster';
+      
+      // Units eliminated since their retreat was queued no longer retreat
+      if (isMonster ? unit.isDestroyed() : !unit.scene) continue;
+      
+      const options = this.getRetreatOptions(unit);
+      
+      if (options.length > 0) {
+        this.activeRetreat = { unit: unit, options: options };
         
-        // If unit can't enter water, exclude rivers
-        if (node.terrainType === 'river' && 
-            (!unit.specialAbilities || !unit.specialAbilities.includes('waterOnly'))) {
-          return false;
-        }
+        this.scene.events.emit('retreat-requested', {
+          unit: unit,
+          nodeIds: options
+        });
+        return;
+      }
+      
+      if (isMonster) {
+        // The monster stays in place and takes one point of damage
+        console.log('Monster has nowhere to retreat, takes 1 damage');
+        unit.takeDamage(1);
+        this.scene.events.emit('retreat-blocked', { unit: unit, destroyed: false });
         
-        // If unit is monster, don't retreat to nodes with human units
-        if (unit.constructor.name === 'Monster') {
-          return !this.gameState.getUnitsAtNode(node.id).length;
+        // Continue once the Monster Player has assigned the damage
+        if (unit.hasPendingDamage()) {
+          this.waitForDamageAllocation(unit, () => this.requestNextRetreat());
+          return;
         }
-        
-        // If unit is human, don't retreat to nodes with monster
-        return !this.gameState.getMonstersAtNode(node.id).length;
-      });
+      } else {
+        console.log(`${unit.type} has nowhere to retreat, eliminated`);
+        this.destroyUnit(unit);
+        this.scene.events.emit('retreat-blocked', { unit: unit, destroyed: true });
+      }
+    }
     
-    if (adjacentNodes.length === 0) {
-      // No retreat path, unit is eliminated
-      console.log('Unit has nowhere to retreat, eliminated');
-      this.destroyUnit(unit);
-      return;
+    // Every retreat has been resolved
+    this.activeRetreat = null;
+    const callback = this.retreatsCompleteCallback;
+    this.retreatsCompleteCallback = null;
+    
+    if (callback) {
+      callback();
+    }
+  }
+  
+  /**
+   * Retreat the unit waiting for a choice into the chosen box
+   * @param {number} nodeId - ID of the chosen box
+   * @returns {boolean} True if the box was a legal retreat and the unit moved
+   */
+  resolveRetreat(nodeId) {
+    if (!this.activeRetreat) return false;
+    
+    const { unit, options } = this.activeRetreat;
+    if (!options.includes(nodeId)) {
+      console.log(`Node ${nodeId} is not a legal retreat for this unit`);
+      return false;
     }
     
-    // Choose random retreat node
-    const retreatNode = adjacentNodes[Math.floor(Math.random() * adjacentNodes.length)];
+    // A retreat is a forced move that costs no movement points. The retreat
+    // stays active until the unit arrives, so the next unit's options and the
+    // combat result see its new position.
+    console.log(`Unit retreating to node ${nodeId}`);
+    this.activeRetreat = { unit: unit, options: [] };
     
-    // Move unit to retreat node
-    console.log(`Unit retreating to node ${retreatNode.id}`);
-    unit.moveToNode(retreatNode.id);
+    unit.moveAlongPath([unit.currentNodeId, nodeId], 0, () => {
+      this.activeRetreat = null;
+      this.scene.events.emit('retreat-resolved', { unit: unit, nodeId: nodeId });
+      
+      this.requestNextRetreat();
+    });
+    return true;
+  }
+  
+  /**
+   * Get the boxes a unit may legally retreat into (rule 6.33)
+   * @param {Unit|Monster} unit - The retreating unit
+   * @returns {Array<number>} IDs of the legal retreat boxes
+   */
+  getRetreatOptions(unit) {
+    const currentNode = this.scene.mapManager.nodes[unit.currentNodeId];
+    if (!currentNode) return [];
+    
+    const isMonster = unit.constructor.name === 'Monster';
+    const unitType = isMonster ? 'monster' : unit.type;
+    
+    return currentNode.adjacentNodes.filter(nodeId => {
+      const node = this.scene.mapManager.nodes[nodeId];
+      if (!node) return false;
+      
+      // Never into an impassable box, and human units never into a web
+      if (!TerrainTypes.isPassable(node.terrainType, unitType)) return false;
+      if (this.scene.mapManager.isWebBlocked(unit, nodeId)) return false;
+      
+      // Only monsters, helicopters and fireboats may enter river boxes
+      if (node.terrainType === 'river' && !['monster', 'helicopter', 'fireboat'].includes(unitType)) {
+        return false;
+      }
+      
+      // The monster may not retreat into a box containing human units
+      if (isMonster) {
+        return this.gameState.getUnitsAtNode(nodeId).length === 0;
+      }
+      
+      // Human units retreat away from the monster: never into or next to its box
+      const nearMonster = [nodeId, ...node.adjacentNodes].some(id => 
+        this.gameState.getMonstersAtNode(id).length > 0
+      );
+      if (nearMonster) return false;
+      
+      // Nor into a box where the stacking limit would be violated
+      return !this.scene.stackingRules.wouldOverstack(unit, nodeId);
+    });
   }
   
   /**
@@ -471,29 +984,43 @@ class CombatManager {
   
   /**
    * Show preview of combat odds before attacking
-   * @param {Unit|Monster} attacker - The attacking unit
-   * @param {Unit|Monster} defender - The defending unit
+   * @param {Unit|Monster|Array<Unit>} attacker - The attacking unit, or a group of human units
+   * @param {Unit|Monster|Array<Unit>} defender - The defending unit, or units attacked together
+   * @param {number} [attackStrength] - Part of the monster's attack strength used in the attack
    * @returns {Object} Odds information for display
    */
-  getCombatPreview(attacker, defender) {
+  getCombatPreview(attacker, defender, attackStrength) {
+    const attackers = this.toParticipantList(attacker);
+    const defenders = this.toParticipantList(defender);
+    
     // Store current state temporarily
     this.activeCombat = {
-      attacker,
-      defender,
-      terrainModifiers: this.calculateTerrainModifiers(defender),
-      specialModifiers: this.calculateSpecialModifiers(attacker, defender)
+      attacker: attackers[0],
+      attackers,
+      defender: defenders[0],
+      defenders,
+      attackStrength,
+      terrainModifiers: this.calculateTerrainModifiers(defenders[0]),
+      specialModifiers: this.calculateSpecialModifiers(attackers, defenders)
     };
     
     // Calculate odds
     const odds = this.calculateCombatOdds();
+    const strengths = this.calculateCombatStrengths();
     
     // Reset active combat
     const preview = {
       ratio: odds,
-      displayRatio: odds > 0 ? `${odds}:1` : `1:${Math.abs(odds)}`,
-      attackerStrength: attacker.strengths ? attacker.strengths.attack : attacker.stats.attack,
-      defenderStrength: defender.strengths ? defender.strengths.defense : defender.stats.defense,
-      terrainBonus: this.activeCombat.terrainModifiers.defense,
+      displayRatio: odds || 'Prohibited',
+      prohibited: !odds,
+      attackerCount: attackers.length,
+      attackerStrength: strengths.attack,
+      defenderStrength: strengths.defense,
+      // Each defender's own terrain effect, as applied in calculateCombatStrengths
+      terrainEffects: defenders.map(target => {
+        const modifiers = this.calculateTerrainModifiers(target);
+        return { defender: target, multiplier: modifiers.defenseMultiplier, source: modifiers.source };
+      }),
       specialBonus: this.activeCombat.specialModifiers.defense
     };
     
@@ -1,6 +1,13 @@
 /**
  * DataManager.js - Loads and manages game data from JSON files
  */
+
+// The monster attacks adjacent boxes; some abilities reach further (6.13, 13.13)
+const MONSTER_RANGE = 1;
+const MONSTER_ABILITY_RANGES = {
+  lightningThrowing: 3
+};
+
 class DataManager {
   /**
    * @param {Phaser.Scene} scene - The scene this manager belongs to
@@ -10,6 +17,7 @@ class DataManager {
     
     // Store loaded data
     this.combatTables = null;
+    this.destructionTables = null;
     this.unitStats = null;
     this.mapNodes = null;
     this.scenarios = null;
@@ -17,6 +25,7 @@ class DataManager {
     // Track loading status
     this.isLoaded = {
       combatTables: false,
+      destructionTables: false,
       unitStats: false,
       mapNodes: false,
       scenarios: false
@@ -33,6 +42,7 @@ class DataManager {
   loadAll() {
     return Promise.all([
       this.loadCombatTables(),
+      this.loadDestructionTables(),
       this.loadUnitStats(),
       this.loadMapNodes(),
       this.loadScenarios()
@@ -66,6 +76,33 @@ class DataManager {
     });
   }
   
+  /**
+   * Load the Building Destruction Results Table from JSON file
+   * @returns {Promise} Resolves when data is loaded
+   */
+  loadDestructionTables() {
+    return new Promise((resolve, reject) => {
+      this.scene.load.json('destructionTables', 'assets/data/destruction-tables.json');
+      
+      // Listen for load completion
+      this.scene.load.once('complete', () => {
+        try {
+          this.destructionTables = this.scene.cache.json.get('destructionTables');
+          this.isLoaded.destructionTables = true;
+          this.validateDestructionTables();
+          this.notifyListeners('destructionTables');
+          resolve(this.destructionTables);
+        } catch (error) {
+          console.error('Error loading destruction tables:', error);
+          reject(error);
+        }
+      });
+      
+      // Start loading
+      this.scene.load.start();
+    });
+  }
+  
   /**
    * Load unit stats from JSON file
    * @returns {Promise} Resolves when data is loaded
@@ -199,9 +236,83 @@ class DataManager {
       this.combatTables.results = [];
     }
     
+    // Odds columns must be attacker-defender ratios such as "1-2" or "3-1"
+    this.combatTables.odds.forEach(column => {
+      if (!this.parseOddsColumn(column)) {
+        console.warn(`Combat tables contain malformed odds column: ${column}`);
+      }
+    });
+    
+    // One row per die roll, one result per odds column
+    if (this.combatTables.results.length !== 6) {
+      console.warn(`Combat tables have ${this.combatTables.results.length} result rows (expected 6)`);
+    }
+    
+    this.combatTables.results.forEach((row, index) => {
+      if (!Array.isArray(row) || row.length !== this.combatTables.odds.length) {
+        console.warn(`Combat table row for die roll ${index + 1} does not match the odds columns`);
+        return;
+      }
+      
+      row.forEach(result => {
+        if (!this.isValidResultCode(result)) {
+          console.warn(`Combat table row for die roll ${index + 1} contains malformed result: ${result}`);
+        }
+      });
+    });
+    
     console.log('Combat tables validated successfully');
   }
   
+  /**
+   * Validate the Building Destruction Results Table
+   * @throws {Error} If validation fails
+   */
+  validateDestructionTables() {
+    if (!this.destructionTables) {
+      throw new Error('Destruction tables data is missing or empty');
+    }
+    
+    // Check for expected properties
+    if (!this.destructionTables.odds || !Array.isArray(this.destructionTables.odds)) {
+      console.warn('Destruction tables missing or malformed odds array');
+      this.destructionTables.odds = [];
+    }
+    
+    if (!this.destructionTables.results || !Array.isArray(this.destructionTables.results)) {
+      console.warn('Destruction tables missing or malformed results array');
+      this.destructionTables.results = [];
+    }
+    
+    // Odds columns are destruction point to box strength ratios such as "1-2"
+    this.destructionTables.odds.forEach(column => {
+      if (!this.parseOddsColumn(column)) {
+        console.warn(`Destruction tables contain malformed odds column: ${column}`);
+      }
+    });
+    
+    // One row per die roll, one result per odds column
+    if (this.destructionTables.results.length !== 6) {
+      console.warn(`Destruction tables have ${this.destructionTables.results.length} result rows (expected 6)`);
+    }
+    
+    this.destructionTables.results.forEach((row, index) => {
+      if (!Array.isArray(row) || row.length !== this.destructionTables.odds.length) {
+        console.warn(`Destruction table row for die roll ${index + 1} does not match the odds columns`);
+        return;
+      }
+      
+      // Every entry is either "D" (destroyed) or "-" (no effect)
+      row.forEach(result => {
+        if (!['D', '-'].includes(result)) {
+          console.warn(`Destruction table row for die roll ${index + 1} contains malformed result: ${result}`);
+        }
+      });
+    });
+    
+    console.log('Destruction tables validated successfully');
+  }
+  
   /**
    * Validate unit stats data structure
    * @throws {Error} If validation fails
@@ -223,6 +334,12 @@ class DataManager {
     Object.keys(this.unitStats).forEach(unitType => {
       const unit = this.unitStats[unitType];
       
+      // Range is the number of boxes a unit can attack across (6.13)
+      if (typeof unit.range !== 'number' || unit.range < 1) {
+        console.warn(`Unit ${unitType} missing or invalid range, defaulting to 1`);
+        unit.range = 1;
+      }
+      
       requiredProperties.forEach(prop => {
         if (typeof unit[prop] === 'undefined') {
           console.warn(`Unit ${unitType} missing required property: ${prop}`);
@@ -342,6 +459,31 @@ class DataManager {
     return this.unitStats[unitType] || null;
   }
   
+  /**
+   * Get the attack range of a unit or monster (rule 6.13)
+   * @param {object} entity - Unit or monster instance
+   * @returns {number} Range in boxes (1 means adjacent boxes only)
+   */
+  getAttackRange(entity) {
+    if (!entity) return 1;
+    
+    // Monster range depends on its special abilities (e.g. lightning throwing)
+    if (entity.constructor.name === 'Monster') {
+      return (entity.specialAbilities || []).reduce(
+        (range, ability) => Math.max(range, MONSTER_ABILITY_RANGES[ability] || MONSTER_RANGE),
+        MONSTER_RANGE
+      );
+    }
+    
+    // Units carry their stats, but fall back to the table for placeholder objects
+    if (entity.stats && typeof entity.stats.range === 'number') {
+      return entity.stats.range;
+    }
+    
+    const unitStats = this.getUnitStats(entity.type);
+    return unitStats && unitStats.range ? unitStats.range : 1;
+  }
+  
   /**
    * Get combat result based on odds and die roll
    * @param {number} attackerStrength - Attacker's strength
@@ -355,25 +497,15 @@ class DataManager {
       return null;
     }
     
-    // Calculate odds ratio
-    let ratio;
-    if (attackerStrength >= defenderStrength) {
-      ratio = Math.floor(attackerStrength / defenderStrength);
-      // Cap at maximum odds in table
-      ratio = Math.min(ratio, this.combatTables.odds.length);
-    } else {
-      ratio = -Math.floor(defenderStrength / attackerStrength);
-      // Cap at minimum odds in table
-      ratio = Math.max(ratio, -this.combatTables.odds.length);
-    }
-    
-    // Find the odds column
-    const oddsIndex = this.combatTables.odds.indexOf(ratio);
-    if (oddsIndex === -1) {
-      console.warn(`Odds ratio ${ratio} not found in combat table`);
+    // Find the odds column (rounded down in favor of the defender)
+    const odds = this.getOddsColumn(attackerStrength, defenderStrength);
+    if (!odds) {
+      console.warn(`Odds ${attackerStrength}:${defenderStrength} are below the lowest column of the combat table`);
       return null;
     }
     
+    const oddsIndex = this.combatTables.odds.indexOf(odds);
+    
     // Validate die roll
     if (dieRoll < 1 || dieRoll > 6) {
       console.warn(`Invalid die roll: ${dieRoll} (must be 1-6)`);
@@ -389,11 +521,129 @@ class DataManager {
     
     const result = resultRow[oddsIndex];
     if (!result) {
-      console.warn(`No result for odds ${ratio} and die roll ${dieRoll}`);
+      console.warn(`No result for odds ${odds} and die roll ${dieRoll}`);
       return null;
     }
     
-    return this.parseResult(result);
+    return {
+      odds: odds,
+      ...this.parseResult(result)
+    };
+  }
+  
+  /**
+   * Find the combat table column for a strength comparison.
+   * The ratio is rounded down in favor of the defender (13 vs 4 is 3-1,
+   * 4 vs 9 is 1-3). Ratios above the highest column use the highest column.
+   * @param {number} attackerStrength - Attacker's strength
+   * @param {number} defenderStrength - Defender's strength
+   * @param {array} [columns] - Odds columns to choose from (defaults to the combat table's)
+   * @returns {string|null} Odds column (e.g. "2-1") or null if the attack is prohibited
+   */
+  getOddsColumn(attackerStrength, defenderStrength, columns = this.combatTables?.odds) {
+    if (!columns || attackerStrength <= 0) {
+      return null;
+    }
+    
+    // An undefended target is attacked at the best odds available
+    if (defenderStrength <= 0) {
+      return columns[columns.length - 1] || null;
+    }
+    
+    let column = null;
+    
+    // Columns are ordered from worst to best odds for the attacker
+    columns.forEach(odds => {
+      const ratio = this.parseOddsColumn(odds);
+      if (!ratio) return;
+      
+      // attacker / defender >= ratio.attacker / ratio.defender
+      if (attackerStrength * ratio.defender >= defenderStrength * ratio.attacker) {
+        column = odds;
+      }
+    });
+    
+    return column;
+  }
+  
+  /**
+   * Get the result of a building destruction attempt (rule 7.0)
+   * @param {number} destructionPoints - Destruction Points the monster commits
+   * @param {number} boxStrength - Destruction strength of the target box
+   * @param {number} dieRoll - Die roll (1-6)
+   * @returns {object|null} { odds, code, destroyed } or null if the attempt is prohibited
+   */
+  getDestructionResult(destructionPoints, boxStrength, dieRoll) {
+    if (!this.isLoaded.destructionTables) {
+      console.warn('Destruction tables not loaded yet');
+      return null;
+    }
+    
+    // Same procedure as combat: rounded down in favor of the box
+    const odds = this.getOddsColumn(destructionPoints, boxStrength, this.destructionTables.odds);
+    if (!odds) {
+      console.warn(`Destruction ratio ${destructionPoints}:${boxStrength} is below the lowest column of the destruction table`);
+      return null;
+    }
+    
+    // Validate die roll
+    if (dieRoll < 1 || dieRoll > 6) {
+      console.warn(`Invalid die roll: ${dieRoll} (must be 1-6)`);
+      return null;
+    }
+    
+    const resultRow = this.destructionTables.results[dieRoll - 1];
+    const result = resultRow ? resultRow[this.destructionTables.odds.indexOf(odds)] : null;
+    if (!result) {
+      console.warn(`No destruction result for odds ${odds} and die roll ${dieRoll}`);
+      return null;
+    }
+    
+    return {
+      odds: odds,
+      code: result,
+      destroyed: result === 'D'
+    };
+  }
+  
+  /**
+   * Get the fewest Destruction Points that may be committed against a box.
+   * Attempts below the lowest column of the table (1-2) are prohibited.
+   * @param {number} boxStrength - Destruction strength of the target box
+   * @returns {number} Minimum Destruction Points for one attempt
+   */
+  getMinimumDestructionPoints(boxStrength) {
+    const lowest = this.destructionTables ? this.parseOddsColumn(this.destructionTables.odds[0]) : null;
+    if (!lowest || boxStrength <= 0) return 1;
+    
+    return Math.max(1, Math.ceil(boxStrength * lowest.attacker / lowest.defender));
+  }
+  
+  /**
+   * Parse an odds column label into its two sides
+   * @param {string} odds - Odds column label (e.g. "1-3")
+   * @returns {object|null} { attacker, defender } or null if malformed
+   */
+  parseOddsColumn(odds) {
+    const match = /^(\d+)-(\d+)$/.exec(String(odds));
+    if (!match) return null;
+    
+    return {
+      attacker: parseInt(match[1]),
+      defender: parseInt(match[2])
+    };
+  }
+  
+  /**
+   * Check whether a combat table entry can be parsed
+   * @param {string} result - Result string from combat table (e.g. "r1/-")
+   * @returns {boolean} True if the entry is well formed
+   */
+  isValidResultCode(result) {
+    if (typeof result !== 'string') return false;
+    
+    const sides = result.split('/');
+    return sides.length === 2 && sides.every(side => /^(-|\d+|r1|\d+r1)$/.test(side));
   }
   
   /**
@@ -402,19 +652,32 @@ class DataManager {
    * @returns {object} Parsed result object
    */
   parseResult(result) {
-    // Example result format: "DE" (Defender Eliminated)
-    const resultMap = {
-      'DE': { defender: 'eliminated', attacker: 'none' },
-      'DR': { defender: 'retreat', attacker: 'none' },
-      'DD': { defender: 'damage', attacker: 'none' },
-      'NE': { defender: 'none', attacker: 'none' },
-      'AD': { defender: 'none', attacker: 'damage' },
-      'AR': { defender: 'none', attacker: 'retreat' },
-      'AE': { defender: 'none', attacker: 'eliminated' },
-      'EX': { defender: 'eliminated', attacker: 'eliminated' }
+    // Result format: "<attacker>/<defender>", e.g. "1/1", "-/3" or "r1/-"
+    const [attackerCode, defenderCode] = String(result).split('/');
+    
+    return {
+      code: result,
+      attacker: this.parseResultSide(attackerCode),
+      defender: this.parseResultSide(defenderCode)
     };
+  }
+  
+  /**
+   * Parse one side of a combat result
+   * @param {string} code - "-" (no effect), a loss count, "r1" (retreat) or both (e.g. "1r1")
+   * @returns {object} { losses, retreat }
+   */
+  parseResultSide(code) {
+    const match = /^(\d*)(r1)?$/.exec(code || '');
+    
+    if (!match || code === '-') {
+      return { losses: 0, retreat: false };
+    }
     
-    return resultMap[result] || { defender: 'none', attacker: 'none' };
+    return {
+      losses: match[1] ? parseInt(match[1]) : 0,
+      retreat: Boolean(match[2])
+    };
   }
   
   /**
@@ -1,3 +1,23 @@
+import FireMarker from '../entities/FireMarker.js';
+import RubbleMarker from '../entities/RubbleMarker.js';
+import TerrainTypes from '../utils/TerrainTypes.js';
+import WindDiagram from '../utils/WindDiagram.js';
+
+// Terrain types that can catch fire (11.25)
+const FLAMMABLE_TERRAIN = ['lowBuilding', 'highBuilding', 'park'];
+
+// Fires each firefighting unit may put out per Fire Phase, and how far away (11.32-11.33)
+const EXTINGUISH_RULES = {
+  firemen: { fires: 1, range: 0 },
+  fireboat: { fires: 2, range: 3 }
+};
+
+// Highest die roll that kills a unit caught in a box as fire starts or spreads into it (11.41)
+const FLAME_KILL_ROLL = 2;
+
+// Damage a monster without Flame Immunity takes for each burning box it enters (11.41)
+const MONSTER_FLAME_DAMAGE = 2;
+
 /**
  * FireManager.js - Manages fire spread, damage, and extinguishing mechanics
  */
@@ -15,6 +35,9 @@ class FireManager {
     // Group to hold all fire markers
     this.fireGroup = scene.add.group();
     
+    // Unit ID -> fires put out by that unit in the current Fire Phase
+    this.extinguishedThisPhase = new Map();
+    
     // Set up event listeners
     this.setupEvents();
   }
@@ -32,11 +55,39 @@ class FireManager {
     // Listen for fire marker removed
     this.scene.events.on('marker-removed', this.onMarkerRemoved, this);
     
+    // Listen for fires reaching a new stage
+    this.scene.events.on('fire-stage-changed', this.onFireStageChanged, this);
+    
+    // Listen for fires being put out
+    this.scene.events.on('fire-extinguished', this.onFireExtinguished, this);
+    
     // Listen for wind direction changes
     this.scene.events.on('wind-direction-changed', this.onWindDirectionChanged, this);
     
     // Listen for turn changes to determine fire spread
     this.scene.events.on('turn-end-effects-applied', this.onTurnEnd, this);
+    
+    // Each Fire Phase starts with fresh firefighting capacity
+    this.scene.events.on('sub-phase-changed', this.onSubPhaseChanged, this);
+    
+    // Flames hurt units and monsters moving into burning boxes
+    this.scene.events.on('unit-moved', this.onUnitMoved, this);
+    this.scene.events.on('monster-moved', this.onMonsterMoved, this);
+  }
+  
+  /**
+   * Reset firefighting capacity at the start of the Fire Phase, and eliminate
+   * units that stayed in a box the monster set on fire once Human Movement ends
+   * @param {Object} data - Sub-phase data
+   */
+  onSubPhaseChanged(data) {
+    if (data.subPhase === 'fire-control') {
+      this.extinguishedThisPhase.clear();
+    }
+    
+    if (data.player === 'human' && data.subPhase === 'combat') {
+      this.eliminateUnitsLeftInFire();
+    }
   }
   
   /**
@@ -44,10 +95,156 @@ class FireManager {
    * @param {Object} data - Fire data
    */
   onFireStarted(data) {
-    console.log(`Fire started at node ${data.nodeId} with intensity ${data.stage || 1}`);
+    console.log(`Fire started at node ${data.nodeId} at stage ${data.stage || 1}`);
     
     // Create a new fire marker
-    this.createFireMarker(data.nodeId, data.stage || 1);
+    const fire = this.createFireMarker(data.nodeId, data.stage || 1);
+    if (!fire) return;
+    
+    // Survivors in a box the monster set on fire must leave it next Movement Phase (11.41)
+    for (const unit of this.gameState.getUnitsAtNode(data.nodeId).filter(unit => !this.isFirefighter(unit))) {
+      unit.mustLeaveFireNodeId = data.nodeId;
+    }
+  }
+  
+  /**
+   * Eliminate a unit that ends its movement in a burning box (11.41).
+   * Firefighting units may move onto a fire to fight it.
+   * @param {Unit} unit - The unit that moved
+   */
+  onUnitMoved(unit) {
+    if (unit.mustLeaveFireNodeId !== unit.currentNodeId) {
+      delete unit.mustLeaveFireNodeId;
+    }
+    
+    if (!this.isBurning(unit.currentNodeId) || this.isFirefighter(unit)) return;
+    
+    console.log(`${unit.type} ended its move in the fire at node ${unit.currentNodeId}`);
+    this.scene.combatManager.destroyUnit(unit);
+    
+    this.scene.events.emit('flame-effects', {
+      nodeId: unit.currentNodeId,
+      cause: 'moved',
+      results: [{ unit: unit, dieRoll: null, killed: true }]
+    });
+  }
+  
+  /**
+   * Damage a monster without Flame Immunity for each burning box it entered
+   * (11.41). The damage is applied once the move is over, so the monster
+   * never keeps moving on strengths it has already lost.
+   * @param {Monster} monster - The monster that moved
+   * @param {Array<number>} path - Boxes moved through, starting with the box it left
+   */
+  onMonsterMoved(monster, path = []) {
+    const burningNodeIds = path.slice(1).filter(nodeId => this.mapManager.isFireHazard(monster, nodeId));
+    if (burningNodeIds.length === 0) return;
+    
+    for (const nodeId of burningNodeIds) {
+      console.log(`Monster entered the fire at node ${nodeId}`);
+      
+      this.scene.events.emit('flame-effects', {
+        nodeId: nodeId,
+        cause: 'monster',
+        damage: MONSTER_FLAME_DAMAGE,
+        results: []
+      });
+    }
+    
+    monster.takeDamage(MONSTER_FLAME_DAMAGE * burningNodeIds.length);
+  }
+  
+  /**
+   * Roll for every unit caught in a box as fire starts or spreads into it.
+   * A unit dies on a roll of 1 or 2; firefighting units are never at risk (11.41).
+   * @param {number} nodeId - ID of the box that caught fire
+   * @returns {Array<Object>} Results as { unit, dieRoll, killed }
+   */
+  applyFlamesToUnits(nodeId) {
+    const exposed = this.gameState.getUnitsAtNode(nodeId).filter(unit => !this.isFirefighter(unit));
+    const results = exposed.map(unit => {
+      const dieRoll = Phaser.Math.Between(1, 6);
+      return { unit: unit, dieRoll: dieRoll, killed: dieRoll <= FLAME_KILL_ROLL };
+    });
+    if (results.length === 0) return results;
+    
+    for (const result of results) {
+      console.log(`${result.unit.type} caught in fire at node ${nodeId} rolled ${result.dieRoll}${result.killed ? ' and was killed' : ''}`);
+      if (result.killed) {
+        this.scene.combatManager.destroyUnit(result.unit);
+      }
+    }
+    
+    this.scene.events.emit('flame-effects', {
+      nodeId: nodeId,
+      cause: 'ignited',
+      results: results
+    });
+    
+    return results;
+  }
+  
+  /**
+   * Eliminate units still in a box the monster set on fire after their Movement Phase
+   * @returns {Array<Unit>} Units eliminated
+   */
+  eliminateUnitsLeftInFire() {
+    const trapped = [...this.gameState.units.values()].filter(unit => 
+      unit.mustLeaveFireNodeId !== undefined && !this.isFirefighter(unit)
+    );
+    const eliminated = [];
+    
+    for (const unit of trapped) {
+      if (unit.currentNodeId === unit.mustLeaveFireNodeId && this.isBurning(unit.currentNodeId)) {
+        console.log(`${unit.type} did not leave the fire at node ${unit.currentNodeId}`);
+        this.scene.combatManager.destroyUnit(unit);
+        eliminated.push(unit);
+      }
+      delete unit.mustLeaveFireNodeId;
+    }
+    
+    for (const unit of eliminated) {
+      this.scene.events.emit('flame-effects', {
+        nodeId: unit.currentNodeId,
+        cause: 'stayed',
+        results: [{ unit: unit, dieRoll: null, killed: true }]
+      });
+    }
+    
+    return eliminated;
+  }
+  
+  /**
+   * Check whether a box is burning
+   * @param {number} nodeId - ID of the box
+   * @returns {boolean} True if the box holds a flames marker
+   */
+  isBurning(nodeId) {
+    return this.gameState.hasMarker(nodeId, 'fire');
+  }
+  
+  /**
+   * Remove the flames marker from a box that was destroyed outright, such as
+   * one crushed by a falling monster. Unlike extinguishing, this places no
+   * rubble of its own; whatever destroyed the box decides what is left.
+   * @param {number} nodeId - ID of the box
+   */
+  removeFire(nodeId) {
+    for (const fire of [...this.gameState.getMarkersAtNode(nodeId, 'fire')]) {
+      console.log(`Fire at node ${nodeId} removed`);
+      fire.destroy();
+    }
+  }
+  
+  /**
+   * Check whether a unit fights fires. Firemen must stand in a burning box
+   * to put it out (11.32), so firefighting units may end their move in one
+   * and stay there.
+   * @param {Object} unit - The unit to check
+   * @returns {boolean} True for firemen and fireboats
+   */
+  isFirefighter(unit) {
+    return !!EXTINGUISH_RULES[unit.type];
   }
   
   /**
@@ -78,12 +275,53 @@ class FireManager {
     }
   }
   
+  /**
+   * Turn a burning building into rubble when its fire reaches stage R.
+   * The fire keeps burning in the rubble box.
+   * @param {Object} data - Stage change data with the node ID and new stage
+   */
+  onFireStageChanged(data) {
+    if (data.stage !== 'R') return;
+    
+    const node = this.mapManager.nodes[data.nodeId];
+    if (!node || !['lowBuilding', 'highBuilding'].includes(node.terrainType)) return;
+    
+    const originalTerrain = node.terrainType;
+    node.terrainType = 'rubble';
+    
+    console.log(`Building at node ${data.nodeId} burned to rubble`);
+    
+    // Fire rubble scores victory points, but never the City Eating strength gain
+    this.scene.events.emit('building-destroyed', {
+      nodeId: data.nodeId,
+      terrainType: originalTerrain,
+      cause: 'fire',
+      victoryPoints: TerrainTypes.getInfo(originalTerrain).victoryPoints
+    });
+  }
+  
+  /**
+   * Place permanent rubble when a fire is put out after reaching R
+   * @param {Object} data - Extinguish data with the node ID and whether rubble remains
+   */
+  onFireExtinguished(data) {
+    if (!data.leavesRubble) return;
+    
+    const node = this.mapManager.nodes[data.nodeId];
+    if (!node) return;
+    
+    // A box already marked as rubble keeps its one marker
+    if (this.gameState.hasMarker(data.nodeId, 'rubble')) return;
+    
+    new RubbleMarker(this.scene, node.x, node.y, data.nodeId);
+  }
+  
   /**
    * Handle wind direction change
-   * @param {number} windDirection - New wind direction (1-6)
+   * @param {number} windDirection - New wind direction (1-4, or calm)
    */
   onWindDirectionChanged(windDirection) {
-    console.log(`Wind direction changed to ${windDirection}`);
+    console.log(`Wind direction changed to ${WindDiagram.getName(windDirection)}`);
     // Could update visualizations or UI indicators here
   }
   
@@ -92,323 +330,221 @@ class FireManager {
    * @param {Object} data - Turn end data
    */
   onTurnEnd(data) {
-    // Only spread fires at the end of human turns
+    // Only burn and spread fires at the end of human turns
     if (data.player === 'human') {
       console.log('Processing fire spread at end of human turn');
-      this.spreadFires();
+      this.advanceFires();
+      
+      // The wind is rolled for each Fire Phase before fires spread (11.21)
+      const windRoll = this.gameState.rollWindDirection();
+      this.spreadFires(windRoll);
     }
   }
   
   /**
    * Create a fire marker at a specific node
    * @param {number} nodeId - ID of node to place fire on
-   * @param {number} intensity - Initial fire intensity (1-3)
+   * @param {number|string} stage - Initial fire stage (1, 2, 3 or 'R')
    * @returns {FireMarker|null} The created fire marker or null if failed
    */
-  createFireMarker(nodeId, intensity = 1) {
-    // Check if node already has a fire
+  createFireMarker(nodeId, stage = 1) {
+    // A box holds a single flames marker
     if (this.gameState.hasMarker(nodeId, 'fire')) {
       console.log(`Node ${nodeId} already has a fire`);
-      
-      // Instead of creating a new fire, increase intensity of existing fire
-      const existingFires = this.gameState.getMarkersAtNode(nodeId, 'fire');
-      if (existingFires.length > 0 && typeof existingFires[0].increaseIntensity === 'function') {
-        existingFires[0].increaseIntensity();
-      }
-      
       return null;
     }
     
     // Get node position from map manager
-    const node = this.mapManager.getNode(nodeId);
+    const node = this.mapManager.nodes[nodeId];
     if (!node) {
       console.error(`Invalid node ID: ${nodeId}`);
       return null;
     }
     
     // Check if terrain can support fire
-    const validTerrains = ['lowBuilding', 'highBuilding', 'park'];
-    if (!validTerrains.includes(node.terrainType)) {
+    if (!FLAMMABLE_TERRAIN.includes(node.terrainType)) {
       console.log(`Cannot place fire on terrain type: ${node.terrainType}`);
       return null;
     }
     
-    // Create the fire marker
-    // Use FireMarker if available
-    if (typeof FireMarker !== 'undefined') {
-      const fire = new FireMarker(
-        this.scene, 
-        node.x, 
-        node.y, 
-        nodeId, 
-        intensity
-      );
-      
-      return fire;
-    } else {
-      // Fallback to placeholder object for testing
-      console.log('FireMarker class not available, creating placeholder object');
-      
-      // Create a placeholder object
-      const fireMarker = {
-        id: `fire-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
-        type: 'fire',
-        nodeId: nodeId,
-        intensity: intensity
-      };
-      
-      // Emit marker placed event
-      this.scene.events.emit('marker-placed', fireMarker);
-      
-      return fireMarker;
-    }
+    const fire = new FireMarker(this.scene, node.x, node.y, nodeId, stage);
+    
+    // Units caught in the box as it catches fire may die (11.41)
+    this.applyFlamesToUnits(nodeId);
+    
+    // Fire burns away any web in the box, freeing the units caught in it
+    this.burnWebs(nodeId);
+    
+    return fire;
   }
   
   /**
-   * Process fire spread for all existing fires
+   * Remove the webs from a box that caught fire
+   * @param {number} nodeId - ID of the burning box
    */
-  spreadFires() {
-    // Get current wind direction
-    const windDirection = this.gameState.config.windDirection || 1;
-    
-    // Track nodes to add fires to after processing
-    const nodesToAddFire = [];
-    
-    // Track fires to increase intensity
-    const firesToIncrease = [];
+  burnWebs(nodeId) {
+    const webs = this.gameState.getMarkersAtNode(nodeId, 'web');
+    if (webs.length === 0) return;
     
-    // Get all fire markers
-    const fireMarkers = [];
+    webs.forEach(web => web.burn());
     
-    // If we have a proper fire group, use it
-    if (this.fireGroup.getChildren) {
-      fireMarkers.push(...this.fireGroup.getChildren());
+    for (const unit of this.gameState.getUnitsAtNode(nodeId)) {
+      unit.webbedPhases = 0;
+      if (typeof unit.updateStatusIndicator === 'function') unit.updateStatusIndicator();
     }
-    
-    // Also check game state for fire markers
-    for (const marker of this.gameState.markers.values()) {
-      if (marker.type === 'fire' && !fireMarkers.some(f => f.id === marker.id)) {
-        fireMarkers.push(marker);
-      }
+  }
+  
+  /**
+   * Get every fire marker on the map
+   * @returns {Array<FireMarker>} Fire markers
+   */
+  getFireMarkers() {
+    return [...this.fireGroup.getChildren()];
+  }
+  
+  /**
+   * Rotate every burning fire to its next stage (11.12)
+   */
+  advanceFires() {
+    for (const fire of this.getFireMarkers()) {
+      fire.advanceStage();
     }
+  }
+  
+  /**
+   * Roll for every building or park box next to a fire (11.22-11.24).
+   * A box next to N fires catches on 7 - N or higher, one less if it is downwind.
+   * @param {number} [windRoll] - Die roll that set the current wind, for the report
+   * @returns {Object} Spread report for the Fire Phase
+   */
+  spreadFires(windRoll = null) {
+    const windDirection = this.gameState.config.windDirection;
+    const candidates = this.getSpreadCandidates(windDirection);
     
-    console.log(`Processing fire spread for ${fireMarkers.length} fires with wind direction ${windDirection}`);
+    console.log(`Processing fire spread for ${candidates.length} boxes, wind ${WindDiagram.getName(windDirection)}`);
     
-    // Process each fire for spread
-    for (const fire of fireMarkers) {
-      // Higher intensity fires are more likely to spread
-      const intensity = fire.intensity || 1;
-      
-      // Get the node this fire is on
-      const sourceNode = this.mapManager.getNode(fire.nodeId);
-      if (!sourceNode) continue;
-      
-      // Get adjacent nodes
-      const adjacentNodeIds = sourceNode.adjacentNodes || [];
+    // Roll for every box before placing any new fire, so fires only spread one box per phase
+    const checks = candidates.map(candidate => {
+      const target = Math.max(1, 7 - candidate.fireCount - (candidate.downwind ? 1 : 0));
+      const dieRoll = Phaser.Math.Between(1, 6);
       
-      // Check each adjacent node for spread
-      for (const targetNodeId of adjacentNodeIds) {
-        // Skip if already marked for adding fire
-        if (nodesToAddFire.includes(targetNodeId)) continue;
-        
-        // Skip if already has a fire
-        if (this.gameState.hasMarker(targetNodeId, 'fire')) {
-          // Instead of adding a new fire, mark for intensity increase
-          const existingFires = this.gameState.getMarkersAtNode(targetNodeId, 'fire');
-          if (existingFires.length > 0 && Math.random() < 0.3) {
-            firesToIncrease.push(existingFires[0]);
-          }
-          continue;
-        }
-        
-        // Check if fire can spread to this node
-        let canSpread = false;
-        
-        // Use FireMarker's method if available
-        if (typeof fire.canSpreadTo === 'function') {
-          canSpread = fire.canSpreadTo(targetNodeId, windDirection);
-        } else {
-          // Fallback logic if FireMarker is not available
-          // Get target node terrain
-          const targetNode = this.mapManager.getNode(targetNodeId);
-          if (!targetNode) continue;
-          
-          // Check if terrain can support fire
-          const validTerrains = ['lowBuilding', 'highBuilding', 'park'];
-          if (!validTerrains.includes(targetNode.terrainType)) continue;
-          
-          // Calculate spread probability based on intensity and wind
-          const baseChance = intensity * 15; // 15%, 30%, or 45% base chance
-          
-          // Simple wind direction check - higher chance if wind is blowing that way
-          // For a proper implementation, need to compare directions
-          const windModifier = Math.random() < 0.5 ? 15 : 0; // 50% chance for a bonus
-          
-          const spreadChance = baseChance + windModifier;
-          
-          // Determine if spread happens
-          canSpread = (Math.random() * 100) < spreadChance;
-        }
-        
-        // If spread succeeds, add to list for creating new fires
-        if (canSpread) {
-          console.log(`Fire at node ${fire.nodeId} will spread to node ${targetNodeId}`);
-          nodesToAddFire.push(targetNodeId);
-        }
-      }
-    }
+      return { ...candidate, target, dieRoll, caught: dieRoll >= target };
+    });
     
-    // Create fires on nodes marked for spread
-    for (const nodeId of nodesToAddFire) {
+    const newFires = checks.filter(check => check.caught).map(check => check.nodeId);
+    for (const nodeId of newFires) {
+      console.log(`Fire spreads to node ${nodeId}`);
       this.createFireMarker(nodeId, 1);
     }
     
-    // Increase intensity for marked fires
-    for (const fire of firesToIncrease) {
-      if (typeof fire.increaseIntensity === 'function') {
-        fire.increaseIntensity();
-      } else {
-        // Fallback for placeholder objects
-        fire.intensity = Math.min(3, (fire.intensity || 1) + 1);
-        
-        // Emit intensity changed event
-        this.scene.events.emit('fire-intensity-changed', {
-          nodeId: fire.nodeId,
-          intensity: fire.intensity,
-          marker: fire
-        });
-      }
-    }
+    const report = {
+      windRoll: windRoll,
+      windDirection: windDirection,
+      windName: WindDiagram.getName(windDirection),
+      checks: checks,
+      newFires: newFires
+    };
     
-    // Check for buildings being destroyed by maximum intensity fires
-    for (const fire of fireMarkers) {
-      if ((fire.intensity || 1) >= 3) {
-        this.checkForBuildingDestruction(fire);
-      }
-    }
+    console.log(`Fire spread complete. Added ${newFires.length} new fires.`);
     
-    console.log(`Fire spread complete. Added ${nodesToAddFire.length} new fires and increased ${firesToIncrease.length} existing fires.`);
+    // Emit the report for the Fire Phase
+    this.scene.events.emit('fire-spread-report', report);
+    
+    return report;
   }
   
   /**
-   * Attempt to extinguish fire at a specific node
-   * @param {number} nodeId - ID of node with fire to extinguish
-   * @param {number} amount - Amount of fire to extinguish (1-3)
-   * @param {Object} unit - The unit doing the extinguishing
-   * @returns {boolean} Whether the action was successful
+   * Find the boxes that may catch fire this phase and what modifies their roll
+   * @param {number} windDirection - Current wind direction
+   * @returns {Array<Object>} Candidates as { nodeId, fireCount, downwind }
    */
-  extinguishFire(nodeId, amount = 1, unit) {
-    // Get fires at this node
-    const fires = this.gameState.getMarkersAtNode(nodeId, 'fire');
-    if (fires.length === 0) {
-      console.log(`No fire at node ${nodeId} to extinguish`);
-      return false;
-    }
-    
-    const fire = fires[0];
+  getSpreadCandidates(windDirection) {
+    const candidates = {};
     
-    // Check if unit is adjacent to the fire
-    if (unit && unit.currentNodeId) {
-      const unitNode = this.mapManager.getNode(unit.currentNodeId);
-      if (!unitNode || !unitNode.adjacentNodes.includes(nodeId)) {
-        console.log(`Unit at node ${unit.currentNodeId} is not adjacent to fire at node ${nodeId}`);
-        return false;
+    const addFireSource = (nodeId, downwind) => {
+      const node = this.mapManager.nodes[nodeId];
+      if (!node || !FLAMMABLE_TERRAIN.includes(node.terrainType)) return;
+      if (this.gameState.hasMarker(nodeId, 'fire')) return;
+      
+      if (!candidates[nodeId]) {
+        candidates[nodeId] = { nodeId: nodeId, fireCount: 0, downwind: false };
       }
-    }
-    
-    // Adjust extinguish amount based on unit type
-    let effectiveAmount = amount;
+      candidates[nodeId].fireCount++;
+      candidates[nodeId].downwind = candidates[nodeId].downwind || downwind;
+    };
     
-    if (unit && unit.type) {
-      // Firemen and fireboats are more effective
-      if (unit.type === 'firemen') {
-        effectiveAmount += 1;
-      } else if (unit.type === 'fireboat') {
-        effectiveAmount += 2;
+    for (const fire of this.getFireMarkers()) {
+      const sourceNode = this.mapManager.nodes[fire.nodeId];
+      if (!sourceNode) continue;
+      
+      // Adjacent boxes, with the downwind bonus when the wind blows their way
+      for (const target of this.mapManager.getAdjacentNodes(fire.nodeId)) {
+        addFireSource(target.id, WindDiagram.isDownwind(sourceNode, target, windDirection));
       }
-    }
-    
-    console.log(`Attempting to extinguish fire at node ${nodeId} by ${effectiveAmount} levels`);
-    
-    // Use FireMarker's method if available
-    if (typeof fire.extinguish === 'function') {
-      return fire.extinguish(effectiveAmount);
-    } else {
-      // Fallback logic for placeholder objects
-      if (fire.intensity <= effectiveAmount) {
-        // Fire is completely extinguished
-        this.scene.events.emit('marker-removed', fire);
-        return true;
-      } else {
-        // Fire is partially extinguished
-        fire.intensity -= effectiveAmount;
-        
-        // Emit intensity changed event
-        this.scene.events.emit('fire-intensity-changed', {
-          nodeId: fire.nodeId,
-          intensity: fire.intensity,
-          marker: fire
-        });
-        
-        return false;
+      
+      // Boxes across a street count as adjacent only when the wind blows across it
+      for (const across of this.mapManager.getAcrossStreetNodes(fire.nodeId)) {
+        const target = this.mapManager.nodes[across.nodeId];
+        if (WindDiagram.isDownwind(sourceNode, target, windDirection)) {
+          addFireSource(across.nodeId, false);
+        }
       }
     }
+    
+    return Object.values(candidates);
   }
   
   /**
-   * Check if a stage 3 fire destroys a building
-   * @param {FireMarker|Object} fire - The fire to check
+   * Get the number of fires a unit may still put out this Fire Phase
+   * @param {Object} unit - Firefighting unit
+   * @returns {number} Fires left, 0 for units that can't fight fires
    */
-  checkForBuildingDestruction(fire) {
-    // Get node data
-    const node = this.mapManager.getNode(fire.nodeId);
-    if (!node) return;
+  getRemainingExtinguishes(unit) {
+    const rules = unit && EXTINGUISH_RULES[unit.type];
+    if (!rules) return 0;
     
-    // Only buildings can be destroyed
-    if (!['lowBuilding', 'highBuilding'].includes(node.terrainType)) {
-      return;
-    }
+    return Math.max(0, rules.fires - (this.extinguishedThisPhase.get(unit.id) || 0));
+  }
+  
+  /**
+   * Get the burning boxes a unit may put out: firemen their own box (11.32),
+   * a fireboat any box within three boxes (11.33)
+   * @param {Object} unit - Firefighting unit
+   * @returns {Array<number>} IDs of the boxes the unit may put out
+   */
+  getExtinguishTargets(unit) {
+    if (this.getRemainingExtinguishes(unit) === 0) return [];
     
-    // Stage 3 fires have a chance to destroy buildings at the end of turn
-    // Higher chance for low buildings
-    const destroyChance = node.terrainType === 'lowBuilding' ? 40 : 20; // 40% for low, 20% for high
+    const range = EXTINGUISH_RULES[unit.type].range;
+    const nodesInRange = this.mapManager.getNodesInRange(unit.currentNodeId, range);
     
-    if (Math.random() * 100 < destroyChance) {
-      console.log(`Building at node ${fire.nodeId} destroyed by fire!`);
-      
-      // Change terrain to rubble
-      const originalTerrain = node.terrainType;
-      node.terrainType = 'rubble';
-      
-      // If using real FireMarker, destroy it and create a rubble marker
-      if (typeof fire.destroy === 'function') {
-        fire.destroy(true); // Create rubble marker
-      } else {
-        // For placeholder fires, remove fire marker and create a rubble marker
-        this.scene.events.emit('marker-removed', fire);
-        
-        // Create a rubble marker
-        const rubbleMarker = {
-          id: `rubble-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
-          type: 'rubble',
-          nodeId: fire.nodeId
-        };
-        
-        // Emit marker placed event
-        this.scene.events.emit('marker-placed', rubbleMarker);
-      }
-      
-      // Award victory points to the monster for destruction
-      const vpValue = originalTerrain === 'highBuilding' ? 5 : 3;
-      
-      // Emit building destroyed event
-      this.scene.events.emit('building-destroyed', {
-        nodeId: fire.nodeId,
-        terrainType: originalTerrain,
-        cause: 'fire',
-        victoryPoints: vpValue
-      });
+    return Object.keys(nodesInRange)
+      .map(nodeId => parseInt(nodeId))
+      .filter(nodeId => this.gameState.hasMarker(nodeId, 'fire'));
+  }
+  
+  /**
+   * Put out the fire in a box with a firefighting unit
+   * @param {number} nodeId - ID of node with fire to extinguish
+   * @param {Object} unit - The unit doing the extinguishing
+   * @returns {Object|null} Report as { nodeId, stage, leavesRubble }, or null if not allowed
+   */
+  extinguishFire(nodeId, unit) {
+    if (!this.getExtinguishTargets(unit).includes(nodeId)) {
+      console.log(`${unit ? unit.type : 'Unit'} cannot put out a fire at node ${nodeId}`);
+      return null;
     }
+    
+    const fire = this.gameState.getMarkersAtNode(nodeId, 'fire')[0];
+    const stage = fire.stage;
+    
+    console.log(`Extinguishing fire at node ${nodeId}`);
+    
+    // A fire is put out whole; after R the box stays rubble (11.12-11.13)
+    const leavesRubble = fire.extinguish();
+    this.extinguishedThisPhase.set(unit.id, (this.extinguishedThisPhase.get(unit.id) || 0) + 1);
+    
+    return { nodeId: nodeId, stage: stage, leavesRubble: leavesRubble };
   }
   
   /**
@@ -420,16 +556,17 @@ class FireManager {
     let stage1 = 0;
     let stage2 = 0;
     let stage3 = 0;
+    let stageR = 0;
     
-    // Count fires by intensity
+    // Count fires by stage
     for (const marker of this.gameState.markers.values()) {
       if (marker.type === 'fire') {
         totalFires++;
         
-        const intensity = marker.intensity || 1;
-        if (intensity === 1) stage1++;
-        else if (intensity === 2) stage2++;
-        else if (intensity === 3) stage3++;
+        if (marker.stage === 1) stage1++;
+        else if (marker.stage === 2) stage2++;
+        else if (marker.stage === 3) stage3++;
+        else if (marker.stage === 'R') stageR++;
       }
     }
     
@@ -438,7 +575,8 @@ class FireManager {
       stage1: stage1,
       stage2: stage2,
       stage3: stage3,
-      windDirection: this.gameState.config.windDirection || 1
+      stageR: stageR,
+      windDirection: this.gameState.config.windDirection
     };
   }
   
@@ -477,25 +615,31 @@ class FireManager {
     
     container.add(text);
     
-    // Set rotation based on current wind direction
-    // Wind direction is 1-6, where 1 is East, 2 is SE, 3 is SW, etc.
-    const windDirection = this.gameState.config.windDirection || 1;
-    const angle = (windDirection - 1) * Math.PI / 3; // Convert to radians (0 = East)
+    // Arrow is drawn pointing north (up) and turns to the way the wind blows
+    const updateArrow = (windDirection, animate) => {
+      const calm = WindDiagram.isCalm(windDirection);
+      arrow.setVisible(!calm);
+      text.setText(calm ? 'Calm' : 'Wind');
+      if (calm) return;
+      
+      const angle = WindDiagram.getRotation(windDirection);
+      if (animate) {
+        // Animate rotation change
+        this.scene.tweens.add({
+          targets: arrow,
+          rotation: angle,
+          duration: 500,
+          ease: 'Cubic.easeOut'
+        });
+      } else {
+        arrow.setRotation(angle);
+      }
+    };
     
-    arrow.setRotation(angle);
+    updateArrow(this.gameState.config.windDirection, false);
     
     // Update when wind changes
-    this.scene.events.on('wind-direction-changed', (newDirection) => {
-      const newAngle = (newDirection - 1) * Math.PI / 3;
-      
-      // Animate rotation change
-      this.scene.tweens.add({
-        targets: arrow,
-        rotation: newAngle,
-        duration: 500,
-        ease: 'Cubic.easeOut'
-      });
-    });
+    this.scene.events.on('wind-direction-changed', (newDirection) => updateArrow(newDirection, true));
     
     return container;
   }
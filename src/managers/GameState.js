@@ -1,3 +1,5 @@
+import WindDiagram from '../utils/WindDiagram.js';
+
 /**
  * GameState.js - Manages overall game state, including unit tracking, victory conditions, and game events
  */
@@ -27,7 +29,7 @@ class GameState {
     this.config = {
       maxTurns: 20,
       victoryPointGoal: 100,
-      windDirection: 1, // 1-6 for fire spread
+      windDirection: 1, // 1-4 from the Wind Diagram, or WindDiagram.CALM
       scenario: 'learning' // Default scenario
     };
     
@@ -50,10 +52,14 @@ class GameState {
     
     // Listen for unit movement
     this.scene.events.on('unit-moved', this.updateUnitPosition, this);
+    this.scene.events.on('monster-moved', this.updateMonsterPosition, this);
     
     // Listen for monster creation
     this.scene.events.on('monster-created', this.registerMonster, this);
     
+    // Listen for the monster's defense being reduced to zero
+    this.scene.events.on('monster-destroyed', this.unregisterMonster, this);
+    
     // Listen for marker placement (fire, rubble, web)
     this.scene.events.on('marker-placed', this.registerMarker, this);
     
@@ -64,7 +70,16 @@ class GameState {
     this.scene.events.on('turn-changed', this.onTurnChanged, this);
     
     // Listen for combat results
-    this.scene.events.on('combat-resolved', this.onCombatResolved, this);
+    this.scene.events.on('combat-result-applied', this.onCombatResultApplied, this);
+    
+    // Listen for non-combat units overrun by the moving monster
+    this.scene.events.on('monster-overrun', this.onMonsterOverrun, this);
+    
+    // Listen for buildings burned to rubble
+    this.scene.events.on('building-destroyed', this.onBuildingDestroyed, this);
+    
+    // Listen for a monster with Great Height falling on a box
+    this.scene.events.on('node-crushed', this.onNodeCrushed, this);
   }
   
   /**
@@ -126,6 +141,37 @@ class GameState {
     console.log(`Monster (ID: ${monster.id}) registered at node ${monster.currentNodeId}`);
   }
   
+  /**
+   * Remove a destroyed monster from the game state
+   * @param {Monster} monster - The monster to remove
+   */
+  unregisterMonster(monster) {
+    // Remove from monsters map
+    this.monsters.delete(monster.id);
+    
+    // Update node contents
+    this.removeFromNode(monster.currentNodeId, 'monsters', monster);
+    
+    console.log(`Monster (ID: ${monster.id}) unregistered`);
+    
+    // Mind control ends when the monster dies
+    if (this.monsters.size === 0) {
+      this.releaseControlledUnits();
+    }
+    
+    // Check if this affects victory conditions
+    this.checkVictoryConditions();
+  }
+  
+  /**
+   * Update monster position when it moves
+   * @param {Monster} monster - The monster that moved
+   */
+  updateMonsterPosition(monster) {
+    this.removeFromNode(monster.previousNodeId, 'monsters', monster);
+    this.addToNode(monster.currentNodeId, 'monsters', monster);
+  }
+  
   /**
    * Alias for registerMonster for consistency with other methods
    * @param {Monster} monster - The monster to add
@@ -229,38 +275,64 @@ class GameState {
     
     console.log(`Turn changed to ${data.player} player (Turn ${this.currentTurn})`);
     
-    // Check wind direction for fire spread (once per complete turn)
-    if (data.player === 'monster') {
-      this.rollWindDirection();
-    }
-    
     // Check victory conditions at the start of each turn
     this.checkVictoryConditions();
   }
   
   /**
-   * Handle combat resolution events
+   * Score a combat result as soon as it is applied, before damage allocation
+   * or retreats can end the game
    * @param {Object} result - Combat result data
    */
-  onCombatResolved(result) {
-    // Award victory points based on combat results
-    if (result.winner === 'monster') {
-      // Award points for destroyed units
-      if (result.unitDestroyed) {
-        const pointValue = this.getUnitPointValue(result.defender);
-        this.awardVictoryPoints('monster', pointValue);
-      }
-    } else if (result.winner === 'human') {
-      // Humans get points for damaging the monster
-      if (result.monsterDamaged) {
-        this.awardVictoryPoints('human', result.damageAmount * 5);
-      }
+  onCombatResultApplied(result) {
+    // Award victory points based on combat losses, whichever side attacked.
+    // Mind-controlled units lost in combat score nothing.
+    const destroyedUnits = result.destroyedUnits || [];
+    destroyedUnits.filter(unit => this.getController(unit) === 'human').forEach(unit => {
+      this.awardVictoryPoints('monster', this.getUnitPointValue(unit));
+    });
+    
+    // Humans get points for damaging the monster
+    if (result.monsterDamaged) {
+      this.awardVictoryPoints('human', result.damageAmount * 5);
     }
     
     // Check victory conditions after combat
     this.checkVictoryConditions();
   }
   
+  /**
+   * Handle the monster overrunning non-combat units during movement
+   * @param {Object} overrun - Overrun data with the destroyed units
+   */
+  onMonsterOverrun(overrun) {
+    overrun.destroyedUnits.forEach(unit => {
+      this.awardVictoryPoints('monster', this.getUnitPointValue(unit));
+    });
+  }
+  
+  /**
+   * Handle a building burned to rubble by fire (11.13)
+   * @param {Object} data - Destruction data with the victory points scored
+   */
+  onBuildingDestroyed(data) {
+    // The monster scores the box, but fire never grants the City Eating strength gain
+    this.awardVictoryPoints('monster', data.victoryPoints || 0);
+  }
+  
+  /**
+   * Handle a dying monster with Great Height crushing a box (13.21)
+   * @param {Object} data - Crush data with the box's victory points and the destroyed units
+   */
+  onNodeCrushed(data) {
+    // The monster scores the box and the human units crushed in it
+    this.awardVictoryPoints('monster', data.victoryPoints || 0);
+    
+    data.destroyedUnits.filter(unit => this.getController(unit) === 'human').forEach(unit => {
+      this.awardVictoryPoints('monster', this.getUnitPointValue(unit));
+    });
+  }
+  
   /**
    * Get victory point value for a unit
    * @param {Unit} unit - The unit to evaluate
@@ -304,16 +376,20 @@ class GameState {
   }
   
   /**
-   * Roll for wind direction for fire spread
+   * Roll for the prevailing wind during the Fire Phase (11.21)
+   * @returns {number} The die roll
    */
   rollWindDirection() {
-    // Roll 1-6 for wind direction
-    this.config.windDirection = Phaser.Math.Between(1, 6);
+    // 1-4 pick a direction from the Wind Diagram, 5-6 mean calm
+    const dieRoll = Phaser.Math.Between(1, 6);
+    this.config.windDirection = WindDiagram.getDirection(dieRoll);
     
-    console.log(`Wind direction changed to ${this.config.windDirection}`);
+    console.log(`Wind roll ${dieRoll}: ${WindDiagram.getName(this.config.windDirection)}`);
     
     // Emit event for fire spread
     this.scene.events.emit('wind-direction-changed', this.config.windDirection);
+    
+    return dieRoll;
   }
   
   /**
@@ -352,13 +428,40 @@ class GameState {
    * @returns {number} Number of human units
    */
   getHumanUnitCount() {
-    let count = 0;
-    for (const unit of this.units.values()) {
-      if (unit.faction === 'human') {
-        count++;
+    return this.getUnitsControlledBy('human').length;
+  }
+  
+  /**
+   * Get the player currently controlling a unit or monster
+   * @param {Unit|Monster} participant - The unit or monster
+   * @returns {string} 'monster' or 'human'
+   */
+  getController(participant) {
+    if (participant.constructor.name === 'Monster') return 'monster';
+    
+    return participant.controller || participant.faction || 'human';
+  }
+  
+  /**
+   * Get the units a player currently controls
+   * @param {string} player - The player ('monster' or 'human')
+   * @returns {Array} Units controlled by the player
+   */
+  getUnitsControlledBy(player) {
+    return [...this.units.values()].filter(unit => this.getController(unit) === player);
+  }
+  
+  /**
+   * Return mind-controlled units to the Human Player once no monster is left (13.27)
+   */
+  releaseControlledUnits() {
+    this.getUnitsControlledBy('monster').forEach(unit => {
+      if (typeof unit.setController === 'function') {
+        unit.setController('human');
+      } else {
+        unit.controller = 'human';
       }
-    }
-    return count;
+    });
   }
   
   /**
@@ -389,10 +492,16 @@ class GameState {
   /**
    * Get units at a specific node
    * @param {number} nodeId - The node ID to check
+   * @param {string} [controller] - Optional filter by controlling player
    * @returns {Array} Array of units at this node
    */
-  getUnitsAtNode(nodeId) {
+  getUnitsAtNode(nodeId, controller) {
     if (!this.nodeContents[nodeId]) return [];
+    
+    if (controller) {
+      return this.nodeContents[nodeId].units.filter(unit => this.getController(unit) === controller);
+    }
+    
     return this.nodeContents[nodeId].units;
   }
   
@@ -451,6 +560,7 @@ class GameState {
         type: unit.type,
         nodeId: unit.currentNodeId,
         stats: unit.stats,
+        controller: this.getController(unit),
         currentMovementPoints: unit.currentMovementPoints
       })),
       
@@ -1,4 +1,16 @@
 import TerrainTypes from '../utils/TerrainTypes.js';
+import LineOfSight from '../utils/LineOfSight.js';
+import WindDiagram from '../utils/WindDiagram.js';
+import helpers from '../utils/helpers.js';
+
+// Ability that lets a monster jump over the next box (13.25)
+const JUMPING_ABILITY = 'jumpingOverBuildings';
+
+// Extra path score per burning box, small enough to only choose between equally cheap paths
+const FIRE_HAZARD_PENALTY = 0.01;
+
+// Movement Points a flying monster pays for each box, whatever its terrain (13.28)
+const FLYING_MOVE_COST = 1;
 
 /**
  * MapManager - Handles the map, nodes, and movement calculations
@@ -29,6 +41,12 @@ class MapManager {
     // Process the nodes
     this.setupNodes();
     
+    // Wind directions come from the Wind Diagram printed on the map
+    WindDiagram.load(this.nodesData.windDiagram);
+    
+    // Build box shapes for line of sight checks from the Tiled map's Terrain layer
+    this.lineOfSight = new LineOfSight(this, this.scene.cache.json.get(mapBackgroundKey));
+    
     console.log(`Loaded map with ${Object.keys(this.nodes).length} nodes`);
     
     // Draw debug visuals if debug mode is enabled
@@ -281,6 +299,125 @@ class MapManager {
       .filter(Boolean); // Filter out any undefined nodes
   }
   
+  /**
+   * Get the boxes across an intervening street box from a box (11.24).
+   * A box is across the street when the street lies roughly on the line between them.
+   * @param {number} nodeId - ID of the box
+   * @returns {Array<Object>} Across-the-street boxes as { nodeId, streetNodeId }
+   */
+  getAcrossStreetNodes(nodeId) {
+    if (!this.acrossStreetCache) {
+      this.acrossStreetCache = {};
+    }
+    if (this.acrossStreetCache[nodeId]) {
+      return this.acrossStreetCache[nodeId];
+    }
+    
+    const node = this.nodes[nodeId];
+    if (!node) return [];
+    
+    const result = [];
+    for (const street of this.getAdjacentNodes(nodeId)) {
+      if (street.terrainType !== 'street') continue;
+      
+      for (const across of this.getAdjacentNodes(street.id)) {
+        if (across.id === nodeId || node.adjacentNodes.includes(across.id)) continue;
+        
+        // The street must sit between the two boxes, not off to one side
+        const toStreet = { x: street.x - node.x, y: street.y - node.y };
+        const onward = { x: across.x - street.x, y: across.y - street.y };
+        
+        if (helpers.isAligned(toStreet, onward) && !result.some(entry => entry.nodeId === across.id)) {
+          result.push({ nodeId: across.id, streetNodeId: street.id });
+        }
+      }
+    }
+    
+    this.acrossStreetCache[nodeId] = result;
+    return result;
+  }
+  
+  /**
+   * Check whether two nodes are adjacent
+   * @param {number} nodeIdA - The ID of the first node
+   * @param {number} nodeIdB - The ID of the second node
+   * @returns {boolean} True if the nodes share a side
+   */
+  areNodesAdjacent(nodeIdA, nodeIdB) {
+    const node = this.nodes[nodeIdA];
+    if (!node || !node.adjacentNodes) return false;
+    
+    return node.adjacentNodes.includes(parseInt(nodeIdB));
+  }
+  
+  /**
+   * Get the range distance between two boxes (rule 6.13): the number of boxes
+   * on the shortest path through adjacent boxes, counting the target's box but
+   * not the starting box. Terrain costs are ignored.
+   * @param {number} fromNodeId - The attacker's box
+   * @param {number} toNodeId - The target's box
+   * @returns {number} Distance in boxes (0 for the same box, Infinity if unreachable)
+   */
+  getRangeDistance(fromNodeId, toNodeId) {
+    fromNodeId = parseInt(fromNodeId);
+    toNodeId = parseInt(toNodeId);
+    
+    if (!this.nodes[fromNodeId] || !this.nodes[toNodeId]) return Infinity;
+    if (fromNodeId === toNodeId) return 0;
+    
+    const distances = this.getNodesInRange(fromNodeId, Infinity);
+    return distances[toNodeId] !== undefined ? distances[toNodeId] : Infinity;
+  }
+  
+  /**
+   * Find every box within a range of a starting box
+   * @param {number} startNodeId - The starting box
+   * @param {number} range - Maximum distance in boxes
+   * @returns {object} Map of node ID to distance, including the start at distance 0
+   */
+  getNodesInRange(startNodeId, range) {
+    startNodeId = parseInt(startNodeId);
+    
+    const distances = {};
+    if (!this.nodes[startNodeId]) return distances;
+    
+    // Breadth-first search, every box counts as one step
+    distances[startNodeId] = 0;
+    const queue = [startNodeId];
+    
+    while (queue.length > 0) {
+      const currentId = queue.shift();
+      const distance = distances[currentId];
+      
+      if (distance >= range) continue;
+      
+      this.nodes[currentId].adjacentNodes.forEach(adjId => {
+        if (this.nodes[adjId] && distances[adjId] === undefined) {
+          distances[adjId] = distance + 1;
+          queue.push(adjId);
+        }
+      });
+    }
+    
+    return distances;
+  }
+  
+  /**
+   * Check whether a line of sight can be traced between two boxes (rule 6.12)
+   * @param {number} fromNodeId - The viewer's box
+   * @param {number} toNodeId - The target's box
+   * @param {object} viewer - Optional unit tracing the line (helicopters are never blocked)
+   * @param {string} mode - Sight mode ('default', or 'lightning' which only high buildings block)
+   * @returns {boolean} True if the line of sight is clear
+   */
+  hasLineOfSight(fromNodeId, toNodeId, viewer = null, mode = 'default') {
+    if (!this.lineOfSight) {
+      this.lineOfSight = new LineOfSight(this, null);
+    }
+    
+    return this.lineOfSight.hasLineOfSight(fromNodeId, toNodeId, viewer, mode);
+  }
+  
   /**
    * Find the nearest node to a given position
    * @param {number} x - X coordinate
@@ -395,6 +532,12 @@ class MapManager {
     // Check if nodes are adjacent
     if (!fromNode.adjacentNodes.includes(toNodeId)) return -1;
     
+    // Webbed boxes are impassable to human units
+    if (this.isWebBlocked(unit, toNodeId)) return -1;
+    
+    // A flying monster crosses any terrain at a flat cost
+    if (this.isAirborneMonster(unit)) return FLYING_MOVE_COST;
+    
     // Get terrain type at destination
     const terrainType = toNode.terrainType;
     
@@ -512,22 +655,45 @@ class MapManager {
       x: startNode.x, 
       y: startNode.y, 
       cost: 0,
-      terrainType: startNode.terrainType
+      terrainType: startNode.terrainType,
+      path: [startNodeId],
+      overrunCost: 0,
+      overrunNodeIds: [],
+      fireNodeIds: [],
+      jumpedOverNodeIds: []
     }];
     
-    const queue = [{ nodeId: startNodeId, remainingPoints: movementPoints }];
+    const queue = [{ 
+      nodeId: startNodeId, 
+      remainingPoints: movementPoints, 
+      path: [startNodeId], 
+      overrunCost: 0, 
+      overrunNodeIds: [],
+      fireNodeIds: [],
+      jumpedOverNodeIds: []
+    }];
     
     // First discover all reachable nodes normally
     while (queue.length > 0) {
       const current = queue.shift();
       const currentCost = visited.get(current.nodeId);
       
-      // Get adjacent nodes
-      const adjacentNodes = this.getAdjacentNodes(current.nodeId);
+      // Get adjacent nodes, plus the boxes a jumping monster can leap to
+      const steps = this.getAdjacentNodes(current.nodeId)
+        .map(node => ({ node: node, jumpedOverNodeId: null }))
+        .concat(this.getJumpSteps(unit, current.nodeId));
       
-      for (const nextNode of adjacentNodes) {
+      for (const step of steps) {
+        const nextNode = step.node;
+        const isJump = step.jumpedOverNodeId !== null;
+        
         // Calculate movement cost
-        const moveCost = this.calculateMovementCost(current.nodeId, nextNode.id, unit);
+        const moveCost = isJump ? 
+          this.getJumpCost(nextNode.id) : 
+          this.calculateMovementCost(current.nodeId, nextNode.id, unit);
+        
+        // Human units never enter the monster's box, even passing through (5.22)
+        if (!this.canEnterBox(unit, nextNode.id)) continue;
         
         // Handle special case for river fording (Infinity movement cost)
         if (moveCost === Infinity) {
@@ -541,7 +707,12 @@ class MapManager {
               cost: movementPoints,
               remainingPoints: 0,
               terrainType: nextNode.terrainType,
-              specialMovement: 'fordingRiver'
+              specialMovement: 'fordingRiver',
+              path: [startNodeId, nextNode.id],
+              overrunCost: 0,
+              overrunNodeIds: [],
+              fireNodeIds: this.isFireHazard(unit, nextNode.id) ? [nextNode.id] : [],
+              jumpedOverNodeIds: []
             });
             // Don't add to queue as this consumes all movement
           }
@@ -551,24 +722,64 @@ class MapManager {
         // Skip impassable terrain or if not enough movement points
         if (moveCost < 0 || moveCost > current.remainingPoints) continue;
         
+        // A monster enters boxes held by human units only by overrunning them (5.31)
+        const entryCost = this.getMonsterEntryCost(unit, nextNode.id);
+        if (entryCost === null) continue;
+        
+        const overrunCost = current.overrunCost + entryCost;
+        if (entryCost > 0 && overrunCost > unit.remainingAttackStrength) continue;
+        
         const newCost = currentCost + moveCost;
         const newRemainingPoints = current.remainingPoints - moveCost;
         
-        // If we haven't visited this node before, or found a cheaper path
-        if (!visited.has(nextNode.id) || newCost < visited.get(nextNode.id)) {
+        // Burning boxes are hazards: at equal cost, prefer the path through fewer of them
+        const fireNodeIds = this.isFireHazard(unit, nextNode.id) ? 
+          [...current.fireNodeIds, nextNode.id] : current.fireNodeIds;
+        const jumpedOverNodeIds = isJump ? 
+          [...current.jumpedOverNodeIds, step.jumpedOverNodeId] : current.jumpedOverNodeIds;
+        const existingIndex = result.findIndex(node => node.id === nextNode.id);
+        const saferAtSameCost = existingIndex !== -1 && newCost === visited.get(nextNode.id) && 
+          fireNodeIds.length < result[existingIndex].fireNodeIds.length;
+        
+        // If we haven't visited this node before, or found a cheaper or safer path
+        if (!visited.has(nextNode.id) || newCost < visited.get(nextNode.id) || saferAtSameCost) {
           visited.set(nextNode.id, newCost);
-          result.push({ 
+          
+          const path = [...current.path, nextNode.id];
+          const overrunNodeIds = entryCost > 0 ? 
+            [...current.overrunNodeIds, nextNode.id] : current.overrunNodeIds;
+          
+          // Replace the entry found along a more expensive path
+          const entry = { 
             id: nextNode.id, 
             x: nextNode.x, 
             y: nextNode.y, 
             cost: newCost,
             remainingPoints: newRemainingPoints,
-            terrainType: nextNode.terrainType
-          });
+            terrainType: nextNode.terrainType,
+            path: path,
+            overrunCost: overrunCost,
+            overrunNodeIds: overrunNodeIds,
+            fireNodeIds: fireNodeIds,
+            jumpedOverNodeIds: jumpedOverNodeIds
+          };
+          if (existingIndex !== -1) {
+            result[existingIndex] = entry;
+          } else {
+            result.push(entry);
+          }
           
           // Only add to queue if we have remaining movement points
           if (newRemainingPoints > 0) {
-            queue.push({ nodeId: nextNode.id, remainingPoints: newRemainingPoints });
+            queue.push({ 
+              nodeId: nextNode.id, 
+              remainingPoints: newRemainingPoints, 
+              path: path, 
+              overrunCost: overrunCost, 
+              overrunNodeIds: overrunNodeIds,
+              fireNodeIds: fireNodeIds,
+              jumpedOverNodeIds: jumpedOverNodeIds
+            });
           }
         }
       }
@@ -589,7 +800,8 @@ class MapManager {
         
         // If terrain is passable (not -1) but cost exceeds movement points,
         // unit can still move there by expending all movement points
-        if (moveCost > 0 && moveCost > movementPoints) {
+        if (moveCost > 0 && moveCost > movementPoints && 
+            this.canEnterBox(unit, adjNode.id) && this.getMonsterEntryCost(unit, adjNode.id) === 0) {
           visited.set(adjNode.id, movementPoints);
           result.push({ 
             id: adjNode.id, 
@@ -598,7 +810,12 @@ class MapManager {
             cost: movementPoints,
             remainingPoints: 0,
             terrainType: adjNode.terrainType,
-            specialMovement: 'allPointsMove'
+            specialMovement: 'allPointsMove',
+            path: [startNodeId, adjNode.id],
+            overrunCost: 0,
+            overrunNodeIds: [],
+            fireNodeIds: this.isFireHazard(unit, adjNode.id) ? [adjNode.id] : [],
+            jumpedOverNodeIds: []
           });
         }
       }
@@ -607,6 +824,129 @@ class MapManager {
     return result;
   }
   
+  /**
+   * Get the boxes a monster with Jumping can leap to from a box: any box two
+   * steps away, over a box it never enters (13.25). The box jumped over may be
+   * a building or hold units; the landing box must be passable and empty.
+   * @param {object} unit - The moving unit or monster
+   * @param {number} fromNodeId - ID of the box the jump starts from
+   * @returns {array} Jump steps as { node, jumpedOverNodeId }
+   */
+  getJumpSteps(unit, fromNodeId) {
+    if (!unit || unit.constructor.name !== 'Monster' || 
+        !unit.specialAbilities || !unit.specialAbilities.includes(JUMPING_ABILITY)) {
+      return [];
+    }
+    
+    const fromNode = this.nodes[fromNodeId];
+    const steps = [];
+    
+    for (const middleId of fromNode.adjacentNodes) {
+      const middle = this.nodes[middleId];
+      if (!middle) continue;
+      
+      for (const landingId of middle.adjacentNodes) {
+        // Only boxes exactly two steps away, each reached once
+        if (landingId === fromNodeId || fromNode.adjacentNodes.includes(landingId)) continue;
+        if (steps.some(step => step.node.id === landingId)) continue;
+        
+        const landing = this.nodes[landingId];
+        if (!landing || this.getJumpCost(landingId) < 0) continue;
+        
+        // The landing box must be unoccupied
+        if (this.scene.gameState && 
+            (this.scene.gameState.getUnitsAtNode(landingId).length > 0 || 
+             this.scene.gameState.getMonstersAtNode(landingId).length > 0)) continue;
+        
+        steps.push({ node: landing, jumpedOverNodeId: middleId });
+      }
+    }
+    
+    return steps;
+  }
+  
+  /**
+   * Get the cost of a jump: double the landing box's movement cost (13.25)
+   * @param {number} nodeId - ID of the landing box
+   * @returns {number} Movement cost (-1 if the box can't be landed in)
+   */
+  getJumpCost(nodeId) {
+    const node = this.nodes[nodeId];
+    if (!node) return -1;
+    
+    const cost = this.getMovementCost(node.terrainType, 'monster');
+    return cost < 0 ? -1 : cost * 2;
+  }
+  
+  /**
+   * Get the attack strength a monster must commit to enter a box.
+   * Other units, and boxes without human units, never need to overrun.
+   * @param {object} unit - The moving unit or monster
+   * @param {number} nodeId - ID of the box being entered
+   * @returns {number|null} 0 if no overrun is needed, the overrun cost, or null if the box can't be entered
+   */
+  getMonsterEntryCost(unit, nodeId) {
+    if (!unit || unit.constructor.name !== 'Monster' || !this.scene.gameState) return 0;
+    
+    // A flying monster passes over units, but never enters a helicopter's box (13.28)
+    if (unit.isFlying) {
+      return this.scene.gameState.getUnitsAtNode(nodeId).some(other => other.type === 'helicopter') ? null : 0;
+    }
+    
+    // Units under the monster's control never stand in its way
+    const units = this.scene.gameState.getUnitsAtNode(nodeId, 'human');
+    if (units.length === 0) return 0;
+    
+    return this.scene.combatManager ? this.scene.combatManager.getOverrunCost(unit, units) : null;
+  }
+  
+  /**
+   * Check whether a unit is a monster in flight
+   * @param {object} unit - The moving unit or monster
+   * @returns {boolean} True for a flying monster
+   */
+  isAirborneMonster(unit) {
+    return !!unit && unit.constructor.name === 'Monster' && !!unit.isFlying;
+  }
+  
+  /**
+   * Check whether a unit may enter a box under the stacking rules
+   * @param {object} unit - The moving unit or monster
+   * @param {number} nodeId - ID of the box being entered
+   * @returns {boolean} True if the box may be entered
+   */
+  canEnterBox(unit, nodeId) {
+    if (!unit || !this.scene.stackingRules) return true;
+    
+    return this.scene.stackingRules.canEnter(unit, nodeId);
+  }
+  
+  /**
+   * Check whether a web keeps a unit out of a box (13.22).
+   * Webs never stop the monster.
+   * @param {object} unit - The moving unit or monster
+   * @param {number} nodeId - ID of the box being entered
+   * @returns {boolean} True if the box is webbed and the unit is a human unit
+   */
+  isWebBlocked(unit, nodeId) {
+    if (!unit || unit.constructor.name === 'Monster' || !this.scene.gameState) return false;
+    
+    return this.scene.gameState.hasMarker(nodeId, 'web');
+  }
+  
+  /**
+   * Check whether entering a box exposes a unit to flames (11.41).
+   * A monster with Flame Immunity is never hurt by fire.
+   * @param {object} unit - The moving unit or monster
+   * @param {number} nodeId - ID of the box being entered
+   * @returns {boolean} True if the box is burning and the unit is not immune
+   */
+  isFireHazard(unit, nodeId) {
+    if (!this.scene.gameState || !this.scene.gameState.hasMarker(nodeId, 'fire')) return false;
+    
+    return !(unit && unit.specialAbilities && unit.specialAbilities.includes('flameImmunity'));
+  }
+  
   /**
    * Draw movement range visualization
    * @param {number} startNodeId - ID of starting node
@@ -657,6 +997,21 @@ class MapManager {
         colorValue = 0xAA00FF; // Purple for "all points" moves
       }
       
+      // Boxes reached by jumping over another box
+      if (node.jumpedOverNodeIds && node.jumpedOverNodeIds.length > 0) {
+        colorValue = 0x00CCCC; // Teal for jumps
+      }
+      
+      // Boxes reached only by overrunning human units
+      if (node.overrunNodeIds && node.overrunNodeIds.length > 0) {
+        colorValue = 0xFF4400; // Orange for overrun moves
+      }
+      
+      // Burning destinations, where a human unit would be eliminated
+      if (node.fireNodeIds && node.fireNodeIds.includes(node.id)) {
+        colorValue = 0x880000; // Dark red for moves ending in fire
+      }
+      
       // Draw a circle at each reachable node
       this.rangeGraphics.fillStyle(colorValue, 0.4);
       this.rangeGraphics.fillCircle(node.x, node.y, 30);
@@ -672,6 +1027,20 @@ class MapManager {
           costText = 'All';
         }
         
+        if (node.jumpedOverNodeIds && node.jumpedOverNodeIds.length > 0) {
+          costText += ' Jump';
+        }
+        
+        if (node.overrunNodeIds && node.overrunNodeIds.length > 0) {
+          costText += ` (-${node.overrunCost} Atk)`;
+        }
+        
+        // Monsters take damage for every burning box on the way
+        if (node.fireNodeIds && node.fireNodeIds.length > 0) {
+          costText += unit && unit.constructor.name === 'Monster' ? 
+            ` (Fire x${node.fireNodeIds.length})` : ' Fire!';
+        }
+        
         const text = this.scene.add.text(
           node.x, 
           node.y, 
@@ -714,6 +1083,68 @@ class MapManager {
     }
   }
   
+  /**
+   * Highlight a set of nodes, e.g. legal targets or destinations for an action
+   * @param {array} nodeIds - IDs of the nodes to highlight
+   * @param {number} color - Fill color of the highlight
+   * @param {string} label - Optional label drawn on each highlighted node
+   * @param {boolean} keepExisting - Add to the current highlights instead of replacing them
+   */
+  highlightNodes(nodeIds, color = 0xFFFF00, label = null, keepExisting = false) {
+    // Clear any existing highlights
+    if (!keepExisting) {
+      this.clearHighlights();
+    }
+    
+    if (!this.highlightGraphics) {
+      this.highlightGraphics = this.scene.add.graphics();
+    }
+    
+    this.highlightGraphics.lineStyle(3, 0xFFFFFF, 0.8);
+    
+    nodeIds.forEach(nodeId => {
+      const node = this.nodes[nodeId];
+      if (!node) return;
+      
+      // Draw a ring around each highlighted node
+      this.highlightGraphics.fillStyle(color, 0.4);
+      this.highlightGraphics.fillCircle(node.x, node.y, 32);
+      this.highlightGraphics.strokeCircle(node.x, node.y, 32);
+      
+      if (label) {
+        const text = this.scene.add.text(
+          node.x, 
+          node.y - 40, 
+          label, 
+          { 
+            fontSize: '12px', 
+            fontStyle: 'bold',
+            fill: '#000',
+            backgroundColor: '#ffffff88',
+            padding: { x: 3, y: 3 },
+          }
+        ).setOrigin(0.5);
+        
+        this.highlightTexts.push(text);
+      }
+    });
+  }
+  
+  /**
+   * Remove all node highlights
+   */
+  clearHighlights() {
+    if (this.highlightGraphics) {
+      this.highlightGraphics.clear();
+    }
+    
+    if (this.highlightTexts) {
+      this.highlightTexts.forEach(text => text.destroy());
+    }
+    
+    this.highlightTexts = [];
+  }
+  
   /**
    * Find a path between two nodes
    * @param {number} startNodeId - Starting node ID
@@ -794,11 +1225,12 @@ class MapManager {
         // Get movement cost to this neighbor
         const moveCost = this.calculateMovementCost(current, neighborId, unit);
         
-        // Skip impassable terrain
-        if (moveCost < 0) continue;
+        // Skip impassable terrain and boxes the unit may not enter
+        if (moveCost < 0 || !this.canEnterBox(unit, neighborId)) continue;
         
-        // Calculate tentative gScore
-        const tentativeGScore = gScore[current] + moveCost;
+        // Calculate tentative gScore; burning boxes only break ties, so the path never costs more
+        const tentativeGScore = gScore[current] + moveCost + 
+          (this.isFireHazard(unit, neighborId) ? FIRE_HAZARD_PENALTY : 0);
         
         // If new path is better or node not visited yet
         if (!gScore[neighborId] || tentativeGScore < gScore[neighborId]) {
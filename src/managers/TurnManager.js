@@ -39,6 +39,20 @@ class TurnManager {
     // Flag for when turn is ready to advance
     this.readyToAdvance = false;
     
+    // Firemen and fireboats arrive once, after the monster first breathes fire (11.31)
+    this.fireUnitsDue = false;
+    this.fireUnitsArrived = false;
+    this.awaitingFireUnitPlacement = false;
+    
+    // Set while the monster designates the units it immobilizes with fear (13.23)
+    this.awaitingFearTargets = false;
+    
+    // Set while a flying monster declares whether it lands (13.28)
+    this.awaitingLandingDeclaration = false;
+    
+    // Set while a dying monster with Great Height chooses where it falls (13.21)
+    this.awaitingMonsterFall = false;
+    
     // Set up event listeners
     this.setupEvents();
     
@@ -61,6 +75,20 @@ class TurnManager {
     
     // Listen for "end turn" button click
     this.scene.events.on('end-turn-clicked', this.endCurrentTurn, this);
+    
+    // Listen for the monster's first fire breathing and the arriving units being placed
+    this.scene.events.on('monster-ability-used', this.onMonsterAbilityUsed, this);
+    this.scene.events.on('fire-units-placed', this.onFireUnitsPlaced, this);
+    
+    // Listen for the monster's fear targets being designated
+    this.scene.events.on('fear-targets-chosen', this.onFearTargetsChosen, this);
+    
+    // Listen for a flying monster declaring whether it lands
+    this.scene.events.on('monster-landing-declared', this.onLandingDeclared, this);
+    
+    // Listen for a dying monster's fall being requested and the monster leaving play
+    this.scene.events.on('monster-fall-requested', this.onMonsterFallRequested, this);
+    this.scene.events.on('monster-destroyed', this.onMonsterFallen, this);
   }
   
   /**
@@ -119,12 +147,126 @@ class TurnManager {
       player: this.currentPhase,
       subPhase: this.currentSubPhase
     });
+    
+    // Firefighting units arrive and fear strikes at the start of the Human Movement Phase
+    if (this.currentPhase === 'human') {
+      this.checkFireUnitsArrival();
+      
+      // Fear waits until any arriving units have been placed
+      if (!this.awaitingFireUnitPlacement) {
+        this.checkFearImmobilization();
+      }
+    }
+  }
+  
+  /**
+   * Let a monster with Fear Immobilization designate its targets (13.23)
+   */
+  checkFearImmobilization() {
+    // Fear from an earlier turn never carries over, even if the Movement Phase was skipped
+    this.clearFearImmobilization();
+    
+    for (const monster of this.gameState.monsters.values()) {
+      if (!monster.specialAbilities || !monster.specialAbilities.includes('fearImmobilization')) continue;
+      if (monster.abilityCooldowns.fearImmobilization > 0 || monster.getFearTargetCount() === 0) continue;
+      
+      this.awaitingFearTargets = true;
+      
+      console.log('Monster designates units to immobilize with fear');
+      this.scene.events.emit('fear-targeting-requested', { monster: monster });
+      return;
+    }
+  }
+  
+  /**
+   * Handle the monster's fear targets having been designated
+   */
+  onFearTargetsChosen() {
+    this.awaitingFearTargets = false;
+  }
+  
+  /**
+   * Ask a flying monster to declare whether it lands at the end of its movement (13.28)
+   * @returns {boolean} True if a declaration is still outstanding
+   */
+  checkLandingDeclaration() {
+    if (this.currentPhase !== 'monster' || this.currentSubPhase !== 'movement') return false;
+    
+    for (const monster of this.gameState.monsters.values()) {
+      if (!monster.isFlying || monster.landingDeclared) continue;
+      
+      // Only ask once; the request stays open until the monster declares
+      if (!this.awaitingLandingDeclaration) {
+        this.awaitingLandingDeclaration = true;
+        
+        console.log('Flying monster declares whether it lands');
+        this.scene.events.emit('landing-declaration-requested', { monster: monster });
+      }
+      return true;
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Handle a flying monster's landing declaration
+   */
+  onLandingDeclared() {
+    this.awaitingLandingDeclaration = false;
+  }
+  
+  /**
+   * Hold the game while a dying monster with Great Height chooses where it falls
+   */
+  onMonsterFallRequested() {
+    this.awaitingMonsterFall = true;
+  }
+  
+  /**
+   * Handle the monster leaving play once its fall has played out
+   */
+  onMonsterFallen() {
+    this.awaitingMonsterFall = false;
+  }
+  
+  /**
+   * Note the monster's first use of fire breathing
+   * @param {Object} data - Ability use data
+   */
+  onMonsterAbilityUsed(data) {
+    if (data.ability === 'fireBreathing' && !this.fireUnitsArrived) {
+      this.fireUnitsDue = true;
+    }
+  }
+  
+  /**
+   * Bring in the firemen and fireboats if the monster has breathed fire
+   */
+  checkFireUnitsArrival() {
+    if (!this.fireUnitsDue) return;
+    
+    this.fireUnitsDue = false;
+    this.fireUnitsArrived = true;
+    this.awaitingFireUnitPlacement = true;
+    
+    console.log('Firemen and fireboats arrive');
+    this.scene.events.emit('fire-units-arrived', { turn: this.currentTurn });
+  }
+  
+  /**
+   * Handle the arriving firefighting units having been placed
+   */
+  onFireUnitsPlaced() {
+    this.awaitingFireUnitPlacement = false;
+    this.checkFearImmobilization();
   }
   
   /**
    * End current player's turn
    */
   endCurrentTurn() {
+    if (!this.canEndPhase()) return;
+    
     console.log(`Ending ${this.currentPhase} player's turn`);
     
     // Apply end-of-turn effects
@@ -160,10 +302,69 @@ class TurnManager {
     }
   }
   
+  /**
+   * Check whether anything must be resolved before the current phase can end
+   * @returns {boolean} True if the phase may end
+   */
+  canEndPhase() {
+    // A combat result isn't finished until damage and retreats are resolved
+    if (this.scene.combatManager && this.scene.combatManager.isResolutionPending()) {
+      console.warn('Allocate the monster\'s damage and resolve retreats before ending the phase');
+      return false;
+    }
+    
+    // Damage from outside combat, like flames, must be allocated too
+    for (const monster of this.gameState.monsters.values()) {
+      if (typeof monster.hasPendingDamage === 'function' && monster.hasPendingDamage()) {
+        console.warn('Allocate the monster\'s damage before ending the phase');
+        return false;
+      }
+    }
+    
+    // A dying monster with Great Height falls before play goes on
+    if (this.awaitingMonsterFall) {
+      console.warn('Choose the box the monster falls on before ending the phase');
+      return false;
+    }
+    
+    // Arriving firemen and fireboats must be placed first
+    if (this.awaitingFireUnitPlacement) {
+      console.warn('Place the arriving firefighting units before ending the phase');
+      return false;
+    }
+    
+    // The monster designates its fear targets before the Human Player moves
+    if (this.awaitingFearTargets) {
+      console.warn('Designate the units immobilized by fear before ending the phase');
+      return false;
+    }
+    
+    // A flying monster must declare whether it lands before its movement ends
+    if (this.checkLandingDeclaration()) {
+      console.warn('Declare whether the flying monster lands before ending the phase');
+      return false;
+    }
+    
+    // Stacking limits apply once the Human Player's units have finished moving (5.21)
+    if (this.currentPhase === 'human' && this.scene.stackingRules) {
+      const illegalStacks = this.scene.stackingRules.getIllegalStacks();
+      
+      if (illegalStacks.length > 0) {
+        console.warn(`${illegalStacks.length} box(es) exceed the stacking limit`);
+        this.scene.events.emit('stacking-violations', illegalStacks);
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
   /**
    * End the current sub-phase
    */
   endCurrentSubPhase() {
+    if (!this.canEndPhase()) return;
+    
     console.log(`Ending ${this.currentPhase} player's ${this.currentSubPhase} phase`);
     
     // Apply end-of-subphase effects if any
@@ -212,11 +413,11 @@ class TurnManager {
    */
   applyTurnStartEffects() {
     if (this.currentPhase === 'monster') {
-      // Reset monster movement points
+      // Reset monster movement points, turn budgets and ability cooldowns
       for (const monster of this.gameState.monsters.values()) {
-        // Check if the monster has the resetMovementPoints method
-        if (typeof monster.resetMovementPoints === 'function') {
-          monster.resetMovementPoints();
+        // Check if the monster has the startTurn method
+        if (typeof monster.startTurn === 'function') {
+          monster.startTurn();
         } else {
           // Fallback for placeholder monster objects
           console.log('Monster does not have resetMovementPoints method - using fallback');
@@ -229,22 +430,22 @@ class TurnManager {
       // Other monster-specific turn start effects
       // ...
     } else {
-      // Reset human unit movement points
-      for (const unit of this.gameState.units.values()) {
-        // Check if the unit has the resetMovementPoints method
-        if (typeof unit.resetMovementPoints === 'function') {
-          unit.resetMovementPoints();
-        } else {
-          // Fallback for placeholder unit objects
-          console.log('Unit does not have resetMovementPoints method - using fallback');
-          unit.currentMovementPoints = unit.stats?.movement || 2; // Default movement value
-        }
-      }
-      
       // Other human-specific turn start effects
       // ...
     }
     
+    // Reset movement points of the units the current player controls
+    for (const unit of this.gameState.getUnitsControlledBy(this.currentPhase)) {
+      // Check if the unit has the resetMovementPoints method
+      if (typeof unit.resetMovementPoints === 'function') {
+        unit.resetMovementPoints();
+      } else {
+        // Fallback for placeholder unit objects
+        console.log('Unit does not have resetMovementPoints method - using fallback');
+        unit.currentMovementPoints = unit.stats?.movement || 2; // Default movement value
+      }
+    }
+    
     // Emit turn start event
     this.scene.events.emit('turn-start-effects-applied', {
       turn: this.currentTurn,
@@ -283,7 +484,12 @@ class TurnManager {
     // Apply any effects specific to the end of the current sub-phase
     switch (this.currentSubPhase) {
       case 'movement':
-        // End of movement phase effects
+        // Units caught in webs spend the Human Movement Phase cutting free,
+        // and fear only lasts for the Movement Phase
+        if (this.currentPhase === 'human') {
+          this.cutUnitsFreeOfWebs();
+          this.clearFearImmobilization();
+        }
         break;
       case 'combat':
         // End of combat phase effects
@@ -303,6 +509,35 @@ class TurnManager {
     });
   }
   
+  /**
+   * Count a Human Movement Phase spent cutting free for every webbed unit (13.22)
+   */
+  cutUnitsFreeOfWebs() {
+    for (const unit of this.gameState.units.values()) {
+      if (!(unit.webbedPhases > 0)) continue;
+      
+      unit.webbedPhases--;
+      if (typeof unit.updateStatusIndicator === 'function') unit.updateStatusIndicator();
+      console.log(`${unit.type} at node ${unit.currentNodeId} has ${unit.webbedPhases} Movement Phase(s) left to cut free`);
+      
+      if (unit.webbedPhases === 0) {
+        this.scene.events.emit('unit-freed-from-web', unit);
+      }
+    }
+  }
+  
+  /**
+   * Let units immobilized by fear move again once the Human Movement Phase ends
+   */
+  clearFearImmobilization() {
+    for (const unit of this.gameState.units.values()) {
+      if (!unit.fearImmobilized) continue;
+      
+      unit.fearImmobilized = false;
+      if (typeof unit.updateStatusIndicator === 'function') unit.updateStatusIndicator();
+    }
+  }
+  
   /**
    * Handle fire spread at the end of human turn
    */
@@ -425,12 +660,12 @@ class TurnManager {
           return false;
         }
       }
-    } else {
-      // Check if all human units have used their movement points
-      for (const unit of this.gameState.units.values()) {
-        if (unit.faction === 'human' && unit.currentMovementPoints > 0) {
-          return false;
-        }
+    }
+    
+    // Check if all units the current player controls have used their movement points
+    for (const unit of this.gameState.getUnitsControlledBy(this.currentPhase)) {
+      if (unit.currentMovementPoints > 0) {
+        return false;
       }
     }
     
@@ -451,6 +686,13 @@ class TurnManager {
    */
   getActionsRemainingText() {
     if (this.currentSubPhase === 'destruction') {
+      // Show the monster's Building Destruction Point budget alongside its attempts
+      const monster = this.gameState.monsters.values().next().value;
+      if (monster && monster.remainingDestructionPoints !== undefined) {
+        return `Destruction attempts remaining: ${this.actionsRemaining.destruction} - ` +
+          `Points: ${monster.remainingDestructionPoints}/${monster.strengths.buildingDestruction}`;
+      }
+      
       return `Destruction attempts remaining: ${this.actionsRemaining.destruction}`;
     } else if (this.currentSubPhase === 'movement') {
       return 'Use unit movement points';
@@ -4,6 +4,8 @@ import TurnManager from '../managers/TurnManager.js';
 import DataManager from '../managers/DataManager.js';
 import CombatManager from '../managers/CombatManager.js';
 import FireManager from '../managers/FireManager.js';
+import StackingRules from '../utils/StackingRules.js';
+import WindDiagram from '../utils/WindDiagram.js';
 import * as pathfinding from '../utils/pathfinding.js';
 
 class GameScene extends Phaser.Scene {
@@ -14,6 +16,10 @@ class GameScene extends Phaser.Scene {
     this.movementPoints = 5; // Default movement points
     this.selectedUnit = null;
     this.selectedMonster = null;
+    this.attackGroup = null;
+    this.monsterAttack = null;
+    this.monsterDestruction = null;
+    this.monsterFall = null;
   }
   
   init(data) {
@@ -85,6 +91,9 @@ class GameScene extends Phaser.Scene {
     // Initialize the map manager
     this.mapManager = new MapManager(this);
     
+    // Stacking limits shared by movement, retreats and placement
+    this.stackingRules = new StackingRules(this.gameState, this.mapManager);
+    
     // Initialize the turn manager
     this.turnManager = new TurnManager(this, this.gameState);
     
@@ -103,6 +112,11 @@ class GameScene extends Phaser.Scene {
     // Add click handler for map interaction
     this.setupInputHandlers();
     
+    // Wire up the movement, combat and destruction event handlers
+    this.setupMovementHandlers();
+    this.setupCombatHandlers();
+    this.setupDestructionHandlers();
+    
     // Add UI elements
     this.createUI();
   }
@@ -293,7 +307,7 @@ class GameScene extends Phaser.Scene {
         for (let i = 0; i < purchasedUnit.quantity; i++) {
           // Find a valid placement location
           // In a real implementation, this would use the placement data
-          const nodeId = this.getRandomValidNodeForUnit(purchasedUnit.type);
+          const nodeId = this.getRandomValidNodeForUnit(purchasedUnit.type, unitsToCreate);
           
           unitsToCreate.push({
             type: purchasedUnit.type,
@@ -327,28 +341,39 @@ class GameScene extends Phaser.Scene {
   /**
    * Find a valid node for placing a unit
    * @param {string} unitType - The type of unit to place
+   * @param {Array<Object>} plannedUnits - Units already placed, as { type, nodeId }
    * @returns {number} A valid node ID
    */
-  getRandomValidNodeForUnit(unitType) {
+  getRandomValidNodeForUnit(unitType, plannedUnits = []) {
     // This is a simplified implementation
     // In a real game, we would:
     // 1. Check for nodes that aren't adjacent to monster entry edge
     // 2. Check for valid terrain (e.g., no rivers for land units)
-    // 3. Check stacking limits
-    // 4. Place populace units on populace symbol boxes
+    // 3. Place populace units on populace symbol boxes
     
-    // For now, just return some valid node IDs based on unit type
+    // For now, pick from some example node IDs based on unit type
+    let candidates;
     if (unitType === 'fireboat') {
       // Fireboat must be in river
-      return 30; // Example river node
+      candidates = [30]; // Example river node
     } else if (unitType === 'populace') {
       // Populace should be in population centers
-      return 12 + Math.floor(Math.random() * 5); // Example populace nodes
+      candidates = [12, 13, 14, 15, 16]; // Example populace nodes
     } else {
       // Other units can go anywhere valid
       // Avoid nodes 1-5 which might be near monster entry
-      return 10 + Math.floor(Math.random() * 20);
+      candidates = Array.from({ length: 20 }, (_, i) => 10 + i);
     }
+    
+    // Respect stacking limits, counting the units placed so far
+    const legal = candidates.filter(nodeId => this.stackingRules.canOccupy(
+      { type: unitType },
+      nodeId,
+      plannedUnits.filter(unit => unit.nodeId === nodeId)
+    ));
+    
+    const choices = legal.length > 0 ? legal : candidates;
+    return choices[Math.floor(Math.random() * choices.length)];
   }
   
   /**
@@ -358,144 +383,8 @@ class GameScene extends Phaser.Scene {
     // Listen for monster setup completion
     this.events.on('monster-setup-complete', this.onMonsterSetupComplete, this);
     
-    // Add a click handler to show movement range and handle path selection
-    this.input.on('pointerdown', (pointer) => {
-      const terrainType = this.mapManager.getTerrainTypeAtPosition(pointer.x, pointer.y);
-      
-      if (!terrainType) {
-        console.log('Clicked outside valid terrain');
-        return;
-      }
-      
-      // Find the nearest node to the clicked position
-      const nearestNode = this.mapManager.findNearestNode(pointer.x, pointer.y);
-      if (!nearestNode) {
-        console.log('No valid node found near click position');
-        return;
-      }
-      
-      // If we're in a game state where we need to select units, check for units at this node
-      const units = this.gameState.getUnitsAtNode(nearestNode.id);
-      const monsters = this.gameState.getMonstersAtNode(nearestNode.id);
-      
-      // Get markers at this node (for fire control or monster abilities)
-      const fireMarkers = this.gameState.getMarkersAtNode(nearestNode.id, 'fire');
-      
-      // Basic unit selection logic - will be expanded based on turn phase
-      if (units.length > 0 && this.turnManager.currentPhase === 'human') {
-        // Select a human unit
-        this.selectUnit(units[0]);
-      } else if (monsters.length > 0 && this.turnManager.currentPhase === 'monster') {
-        // Select the monster
-        this.selectMonster(monsters[0]);
-      } else if (this.selectedUnit || this.selectedMonster) {
-        // If we have a selected unit and we're in the fire control phase
-        if (this.selectedUnit && 
-            this.turnManager.currentPhase === 'human' && 
-            this.turnManager.currentSubPhase === 'fire-control' &&
-            ['firemen', 'fireboat'].includes(this.selectedUnit.type) && 
-            fireMarkers.length > 0) {
-          // Handle fire control
-          this.handleFireControl(nearestNode.id);
-        } 
-        // If we have a selected unit in movement phase
-        else if (this.selectedUnit && 
-                this.turnManager.currentPhase === 'human' && 
-                this.turnManager.currentSubPhase === 'movement') {
-          this.moveSelectedUnit(nearestNode.id);
-        } 
-        // If monster using fire breathing ability
-        else if (this.selectedMonster && 
-                this.turnManager.currentPhase === 'monster' && 
-                this.turnManager.currentSubPhase === 'destruction' &&
-                this.selectedMonster.specialAbilities && 
-                this.selectedMonster.specialAbilities.includes('fireBreathing')) {
-          // Check if we're trying to use the fire breathing ability
-          const sourceNode = this.mapManager.getNode(this.selectedMonster.currentNodeId);
-          if (sourceNode && sourceNode.adjacentNodes.includes(nearestNode.id)) {
-            // Start fire at the target node
-            this.events.emit('fire-started', {
-              nodeId: nearestNode.id,
-              stage: 1
-            });
-          }
-        }
-        // Regular monster movement
-        else if (this.selectedMonster && 
-                this.turnManager.currentPhase === 'monster' && 
-                this.turnManager.currentSubPhase === 'movement') {
-          this.moveSelectedMonster(nearestNode.id);
-        }
-      }
-      
-      // Legacy pathfinding demo code
-      const movementCost = this.mapManager.getMovementCost(terrainType);
-      console.log(`Clicked on ${terrainType} terrain. Movement cost: ${movementCost}`);
-      
-      // If this is the first click, set as selected position
-      if (!this.selectedPosition) {
-        this.selectedPosition = { 
-          x: pointer.x, 
-          y: pointer.y,
-          nodeId: nearestNode.id
-        };
-        // Show movement range using node ID
-        this.mapManager.showMovementRange(nearestNode.id, this.movementPoints);
-        this.drawPositionMarker(this.selectedPosition, 0x0000FF);
-        console.log(`Selected starting position: (${this.selectedPosition.x}, ${this.selectedPosition.y}) at node ${nearestNode.id}`);
-      } 
-      // If this is the second click, try to find a path to the target
-      else if (!this.targetPosition) {
-        this.targetPosition = { 
-          x: pointer.x, 
-          y: pointer.y,
-          nodeId: nearestNode.id
-        };
-        this.drawPositionMarker(this.targetPosition, 0xFF0000);
-        console.log(`Selected target position: (${this.targetPosition.x}, ${this.targetPosition.y}) at node ${nearestNode.id}`);
-        
-        // Find path between node IDs
-        try {
-          // Debug adjacency to help troubleshoot pathfinding
-          this.debugPathBetweenNodes(
-            this.selectedPosition.nodeId,
-            this.targetPosition.nodeId
-          );
-          
-          const nodePath = this.mapManager.findPath(
-            this.selectedPosition.nodeId, 
-            this.targetPosition.nodeId
-          );
-          
-          if (nodePath.length > 0) {
-            console.log(`Found path with ${nodePath.length} nodes:`, nodePath);
-            
-            // Convert node IDs to positions for visualization
-            const path = nodePath.map(nodeId => {
-              const node = this.mapManager.nodes[nodeId];
-              return { x: node.x, y: node.y };
-            });
-            
-            this.drawPath(path);
-          } else {
-            console.log('No valid path found');
-            // Show an error message to the user
-            this.showNoPathMessage();
-          }
-        } catch (error) {
-          console.error("Error finding path:", error);
-          this.showNoPathMessage();
-        }
-      } 
-      // Reset on third click
-      else {
-        this.clearMarkers();
-        this.selectedPosition = null;
-        this.targetPosition = null;
-        this.mapManager.showMovementRange(nearestNode.id, this.movementPoints);
-        console.log('Reset positions');
-      }
-    });
+    // Route map clicks to the choice in progress or the selected piece
+    this.input.on('pointerdown', this.onMapPointerDown, this);
     
     // Add keyboard controls for adjusting movement points
     this.input.keyboard.on('keydown-UP', () => {
@@ -533,6 +422,533 @@ class GameScene extends Phaser.Scene {
     });
   }
   
+  /**
+   * Route a click on the map. A choice the game is waiting for, such as a
+   * retreat or the box a dying monster falls on, takes the click first;
+   * otherwise it selects, moves or targets with the current player's pieces.
+   * @param {Phaser.Input.Pointer} pointer - The pointer that was pressed
+   */
+  onMapPointerDown(pointer) {
+    // The map is locked while the damage allocation prompt is open
+    const monster = this.getMonster();
+    if (this.combatManager.awaitingDamageAllocation || (monster && monster.hasPendingDamage())) {
+      return;
+    }
+    
+    const terrainType = this.mapManager.getTerrainTypeAtPosition(pointer.x, pointer.y);
+    
+    if (!terrainType) {
+      console.log('Clicked outside valid terrain');
+      return;
+    }
+    
+    // Find the nearest node to the clicked position
+    const nearestNode = this.mapManager.findNearestNode(pointer.x, pointer.y);
+    if (!nearestNode) {
+      console.log('No valid node found near click position');
+      return;
+    }
+    
+    // Hand the click to the choice in progress, if there is one
+    const inputModeHandler = this.getInputModeHandler();
+    if (inputModeHandler) {
+      inputModeHandler(nearestNode.id);
+      return;
+    }
+    
+    // A selected firefighting unit puts out fires in the Fire Phase, even in its own box
+    if (this.selectedUnit && 
+        this.turnManager.currentPhase === 'human' && 
+        this.turnManager.currentSubPhase === 'fire-control' &&
+        this.fireManager.getExtinguishTargets(this.selectedUnit).includes(nearestNode.id)) {
+      this.handleFireControl(nearestNode.id);
+      return;
+    }
+    
+    this.handleSelectionClick(nearestNode.id);
+    
+    // Legacy pathfinding demo code
+    this.updatePathfindingDemo(pointer, nearestNode, terrainType);
+  }
+  
+  /**
+   * Get the click handler for the choice the game is waiting for. Modes are
+   * listed by priority and only the first active one receives the click.
+   * @returns {function|null} Handler taking the clicked node ID, or null if no choice is pending
+   */
+  getInputModeHandler() {
+    const inputModes = [
+      // A dying monster with Great Height chooses where it falls
+      [this.monsterFall, this.selectMonsterFallTarget],
+      
+      // Arriving units are placed before anything else happens
+      [this.unitPlacement, this.placeArrivingUnit],
+      
+      // A retreating unit's owner must choose its destination first
+      [this.combatManager.activeRetreat, this.selectRetreatTarget],
+      
+      // The monster designating units to immobilize with fear
+      [this.fearTargeting, this.selectFearTarget],
+      
+      // The monster choosing boxes to web
+      [this.webSpinning, this.selectWebTarget],
+      
+      // The monster choosing the unit to seize with Mind Control
+      [this.mindControl, this.selectMindControlTarget],
+      
+      // A mind-controlled unit choosing the unit it attacks
+      [this.controlledUnitAttack, this.selectControlledUnitTarget]
+    ];
+    
+    const activeMode = inputModes.find(([state]) => state);
+    return activeMode ? activeMode[1].bind(this) : null;
+  }
+  
+  /**
+   * Retreat the unit waiting for its owner's choice into the clicked box
+   * @param {number} nodeId - ID of the clicked node
+   */
+  selectRetreatTarget(nodeId) {
+    if (!this.combatManager.resolveRetreat(nodeId)) {
+      this.showStatusMessage('Choose one of the highlighted retreat boxes');
+    }
+  }
+  
+  /**
+   * Select a piece in the clicked box, or act with the piece already selected
+   * @param {number} nodeId - ID of the clicked node
+   */
+  handleSelectionClick(nodeId) {
+    // If we're in a game state where we need to select units, check for units at this node
+    const units = this.gameState.getUnitsAtNode(nodeId);
+    const monsters = this.gameState.getMonstersAtNode(nodeId);
+    
+    // Units the current player controls; in the Human Combat Phase
+    // mind-controlled units may also be selected as attack targets.
+    // Boxes chosen for the monster's attack or destruction are never selections.
+    let selectableUnits = this.turnManager.currentPhase === 'human' && this.turnManager.currentSubPhase === 'combat' ?
+      units : this.gameState.getUnitsAtNode(nodeId, this.turnManager.currentPhase);
+    if (this.monsterAttack || this.monsterDestruction) selectableUnits = [];
+    
+    // Basic unit selection logic - will be expanded based on turn phase
+    if (selectableUnits.length > 0 && this.turnManager.currentPhase === 'human') {
+      // Select a human unit, cycling through stacked units on repeated clicks
+      const selectedIndex = selectableUnits.indexOf(this.selectedUnit);
+      this.selectUnit(selectableUnits[(selectedIndex + 1) % selectableUnits.length]);
+    } else if ((monsters.length > 0 || selectableUnits.length > 0) && this.turnManager.currentPhase === 'monster') {
+      // Select the monster, or cycle through it and the units it controls
+      const selectable = [...monsters, ...selectableUnits];
+      const next = selectable[(selectable.indexOf(this.selectedMonster || this.selectedUnit) + 1) % selectable.length];
+      
+      if (monsters.includes(next)) {
+        this.selectMonster(next);
+      } else {
+        this.selectUnit(next);
+      }
+    } else if (this.selectedUnit || this.selectedMonster) {
+      this.actWithSelectedPiece(nodeId);
+    }
+  }
+  
+  /**
+   * Act with the selected unit or monster on the clicked box: move it, or
+   * choose the target of the monster's destruction, fire breathing or attack
+   * @param {number} nodeId - ID of the clicked node
+   */
+  actWithSelectedPiece(nodeId) {
+    // If we have a selected unit in movement phase
+    if (this.selectedUnit && 
+            this.gameState.getController(this.selectedUnit) === this.turnManager.currentPhase && 
+            this.turnManager.currentSubPhase === 'movement') {
+      this.moveSelectedUnit(nodeId);
+    } 
+    // Monster choosing the box to destroy
+    else if (this.selectedMonster && 
+            this.monsterDestruction &&
+            this.turnManager.currentPhase === 'monster' && 
+            this.turnManager.currentSubPhase === 'destruction') {
+      this.selectMonsterDestructionTarget(nodeId);
+    }
+    // If monster using fire breathing ability
+    else if (this.selectedMonster && 
+            this.turnManager.currentPhase === 'monster' && 
+            this.turnManager.currentSubPhase === 'destruction' &&
+            this.selectedMonster.specialAbilities && 
+            this.selectedMonster.specialAbilities.includes('fireBreathing')) {
+      // Check if we're trying to use the fire breathing ability
+      const sourceNode = this.mapManager.getNode(this.selectedMonster.currentNodeId);
+      if (sourceNode && sourceNode.adjacentNodes.includes(nodeId)) {
+        // The ability rolls for the fire, sets the cooldown and calls in the firefighters
+        this.selectedMonster.useAbility('fireBreathing', { nodeId: nodeId });
+      }
+    }
+    // Monster choosing the target box of an attack
+    else if (this.selectedMonster && 
+            this.monsterAttack &&
+            this.turnManager.currentPhase === 'monster' && 
+            this.turnManager.currentSubPhase === 'combat') {
+      this.selectMonsterAttackTarget(nodeId);
+    }
+    // Regular monster movement
+    else if (this.selectedMonster && 
+            this.turnManager.currentPhase === 'monster' && 
+            this.turnManager.currentSubPhase === 'movement') {
+      this.moveSelectedMonster(nodeId);
+    }
+  }
+  
+  /**
+   * Legacy pathfinding demo: the first click shows a movement range, the
+   * second draws a path to the clicked box and the third resets
+   * @param {Phaser.Input.Pointer} pointer - The pointer that was pressed
+   * @param {Object} nearestNode - Node nearest the click
+   * @param {string} terrainType - Terrain type at the click
+   */
+  updatePathfindingDemo(pointer, nearestNode, terrainType) {
+    const movementCost = this.mapManager.getMovementCost(terrainType);
+    console.log(`Clicked on ${terrainType} terrain. Movement cost: ${movementCost}`);
+    
+    // If this is the first click, set as selected position
+    if (!this.selectedPosition) {
+      this.selectedPosition = { 
+        x: pointer.x, 
+        y: pointer.y,
+        nodeId: nearestNode.id
+      };
+      // Show movement range using node ID
+      this.mapManager.showMovementRange(nearestNode.id, this.movementPoints);
+      this.drawPositionMarker(this.selectedPosition, 0x0000FF);
+      console.log(`Selected starting position: (${this.selectedPosition.x}, ${this.selectedPosition.y}) at node ${nearestNode.id}`);
+    } 
+    // If this is the second click, try to find a path to the target
+    else if (!this.targetPosition) {
+      this.targetPosition = { 
+        x: pointer.x, 
+        y: pointer.y,
+        nodeId: nearestNode.id
+      };
+      this.drawPositionMarker(this.targetPosition, 0xFF0000);
+      console.log(`Selected target position: (${this.targetPosition.x}, ${this.targetPosition.y}) at node ${nearestNode.id}`);
+      
+      // Find path between node IDs
+      try {
+        // Debug adjacency to help troubleshoot pathfinding
+        this.debugPathBetweenNodes(
+          this.selectedPosition.nodeId,
+          this.targetPosition.nodeId
+        );
+        
+        const nodePath = this.mapManager.findPath(
+          this.selectedPosition.nodeId, 
+          this.targetPosition.nodeId
+        );
+        
+        if (nodePath.length > 0) {
+          console.log(`Found path with ${nodePath.length} nodes:`, nodePath);
+          
+          // Convert node IDs to positions for visualization
+          const path = nodePath.map(nodeId => {
+            const node = this.mapManager.nodes[nodeId];
+            return { x: node.x, y: node.y };
+          });
+          
+          this.drawPath(path);
+        } else {
+          console.log('No valid path found');
+          // Show an error message to the user
+          this.showNoPathMessage();
+        }
+      } catch (error) {
+        console.error("Error finding path:", error);
+        this.showNoPathMessage();
+      }
+    } 
+    // Reset on third click
+    else {
+      this.clearMarkers();
+      this.selectedPosition = null;
+      this.targetPosition = null;
+      this.mapManager.showMovementRange(nearestNode.id, this.movementPoints);
+      console.log('Reset positions');
+    }
+  }
+  
+  /**
+   * Set up event handlers for building and resolving human attacks
+   */
+  setupCombatHandlers() {
+    // Unit panel attack builder actions
+    this.events.on('unit-action-attack', this.addToAttackGroup, this);
+    this.events.on('attack-group-remove', this.removeFromAttackGroup, this);
+    this.events.on('attack-group-resolve', this.resolveAttackGroup, this);
+    this.events.on('attack-group-cancel', this.cancelAttackGroup, this);
+    this.events.on('attack-group-target', this.setAttackTarget, this);
+    
+    // Attacks by units under the monster's control
+    this.events.on('controlled-unit-action-attack', this.startControlledUnitAttack, this);
+    this.events.on('controlled-unit-attack-cancel', this.cancelControlledUnitAttack, this);
+    
+    // Monster attack allocation actions
+    this.events.on('monster-action-attack', this.startMonsterAttack, this);
+    this.events.on('monster-attack-toggle-target', this.toggleMonsterAttackTarget, this);
+    this.events.on('monster-attack-adjust-strength', this.adjustMonsterAttackStrength, this);
+    this.events.on('monster-attack-resolve', this.resolveMonsterAttack, this);
+    this.events.on('monster-attack-cancel', this.cancelMonsterAttack, this);
+    
+    // An unresolved attack never carries over into another phase
+    this.events.on('sub-phase-changed', this.cancelAttackGroup, this);
+    this.events.on('sub-phase-changed', this.cancelMonsterAttack, this);
+    this.events.on('sub-phase-changed', this.cancelControlledUnitAttack, this);
+    
+    // Owning players choose where retreating units go
+    this.events.on('retreat-requested', this.showRetreatOptions, this);
+    this.events.on('retreat-resolved', () => this.mapManager.clearHighlights());
+    this.events.on('retreat-blocked', this.onRetreatBlocked, this);
+  }
+  
+  /**
+   * Highlight the boxes a retreating unit may move into
+   * @param {Object} data - Event data with the retreating unit and legal box IDs
+   */
+  showRetreatOptions(data) {
+    const owner = this.gameState.getController(data.unit) === 'monster' ? 'Monster Player' : 'Human Player';
+    
+    this.mapManager.highlightNodes(data.nodeIds, 0x33AAFF, 'Retreat');
+    this.showStatusMessage(`${owner}: choose a box to retreat into`);
+  }
+  
+  /**
+   * Report a unit that had no legal box to retreat into
+   * @param {Object} data - Event data with the unit and whether it was eliminated
+   */
+  onRetreatBlocked(data) {
+    this.showStatusMessage(data.destroyed ? 
+      `${data.unit.type} could not retreat and was eliminated` : 
+      'The monster could not retreat and takes 1 damage'
+    );
+  }
+  
+  /**
+   * Set up handlers for monster movement
+   */
+  setupMovementHandlers() {
+    // Moving into boxes of non-combat units needs confirmation
+    this.events.on('monster-overrun-requested', this.confirmMonsterOverrun, this);
+    
+    // Overstacked boxes block the end of the Human Player's phase
+    this.events.on('stacking-violations', this.showStackingViolations, this);
+    
+    // Firemen and fireboats arrive after the monster first breathes fire
+    this.events.on('fire-units-arrived', this.chooseFireUnits, this);
+    
+    // A monster with Fear Immobilization designates units at the start of Human Movement
+    this.events.on('fear-targeting-requested', this.startFearTargeting, this);
+    
+    // Mind Control target selection
+    this.events.on('monster-action-mind-control', this.startMindControl, this);
+    this.events.on('sub-phase-changed', this.cancelMindControl, this);
+    
+    // A flying monster takes off before moving and declares whether it lands afterwards
+    this.events.on('monster-action-fly', this.useFlying, this);
+    this.events.on('landing-declaration-requested', this.askLandingDeclaration, this);
+    
+    // A dying monster with Great Height chooses the box it falls on
+    this.events.on('monster-fall-requested', this.startMonsterFall, this);
+  }
+  
+  /**
+   * Let the Monster Player choose the box the dying monster falls on (13.21)
+   * @param {Object} data - Request data with the monster and the boxes it may fall on
+   */
+  startMonsterFall(data) {
+    this.monsterFall = {
+      monster: data.monster,
+      nodeIds: data.nodeIds
+    };
+    
+    this.mapManager.highlightNodes(data.nodeIds, 0xAA0000, 'Fall');
+    this.showStatusMessage('Monster Player: the monster is dying. Choose the box it falls on');
+  }
+  
+  /**
+   * Ask for confirmation before the monster falls on a box
+   * @param {number} nodeId - ID of the chosen box
+   */
+  selectMonsterFallTarget(nodeId) {
+    if (!this.monsterFall.nodeIds.includes(nodeId)) {
+      this.showStatusMessage('Choose the monster\'s own box or an adjacent one');
+      return;
+    }
+    
+    const unitCount = this.gameState.getUnitsAtNode(nodeId).length;
+    
+    import('../ui/ConfirmDialog.js').then(module => {
+      const ConfirmDialog = module.default;
+      new ConfirmDialog(this, {
+        title: 'GREAT HEIGHT',
+        message: `Fall on box ${nodeId}?\n\n` +
+          'The box becomes rubble' +
+          (unitCount > 0 ? ` and its ${unitCount} unit${unitCount === 1 ? ' is' : 's are'} destroyed.` : '.'),
+        confirmLabel: 'FALL',
+        onConfirm: () => this.finishMonsterFall(nodeId)
+      });
+    }).catch(error => console.error("Error loading ConfirmDialog:", error));
+  }
+  
+  /**
+   * Drop the monster on the chosen box
+   * @param {number} nodeId - ID of the box it falls on
+   */
+  finishMonsterFall(nodeId) {
+    if (!this.monsterFall) return;
+    
+    const { monster } = this.monsterFall;
+    if (!monster.fallOnto(nodeId)) return;
+    
+    this.monsterFall = null;
+    this.mapManager.clearHighlights();
+    this.showStatusMessage(`The monster collapses onto box ${nodeId}`);
+  }
+  
+  /**
+   * Take off with a monster that has Flying
+   * @param {Monster} monster - The monster taking off
+   */
+  useFlying(monster) {
+    if (monster.useAbility('flying')) {
+      this.showStatusMessage('The monster is flying: 1 MP per box, over units but never into a helicopter\'s box');
+    }
+  }
+  
+  /**
+   * Ask the Monster Player whether the flying monster lands (13.28)
+   * @param {Object} data - Request data with the monster
+   */
+  askLandingDeclaration(data) {
+    const { monster } = data;
+    
+    // A monster over impassable terrain or human units has to stay up
+    if (!monster.canLand()) {
+      monster.declareLanding(false);
+      this.showStatusMessage('The monster can\'t land here and stays airborne. End the phase again to continue');
+      return;
+    }
+    
+    import('../ui/ConfirmDialog.js').then(module => {
+      const ConfirmDialog = module.default;
+      new ConfirmDialog(this, {
+        title: 'LANDING',
+        message: `Does the monster land in box ${monster.currentNodeId}?\n\n` +
+          'Landed: human units can\'t enter its box.\n' +
+          'Airborne: only helicopters are kept out.',
+        confirmLabel: 'LAND',
+        cancelLabel: 'STAY UP',
+        onConfirm: () => this.finishLandingDeclaration(monster, true),
+        onCancel: () => this.finishLandingDeclaration(monster, false)
+      });
+    }).catch(error => console.error("Error loading ConfirmDialog:", error));
+  }
+  
+  /**
+   * Record the flying monster's landing declaration
+   * @param {Monster} monster - The flying monster
+   * @param {boolean} land - True to land, false to stay airborne
+   */
+  finishLandingDeclaration(monster, land) {
+    if (monster.declareLanding(land)) {
+      this.showStatusMessage(`The monster ${land ? 'has landed' : 'stays airborne'}. End the phase again to continue`);
+    }
+  }
+  
+  /**
+   * Let the Monster Player designate the units immobilized by fear (13.23)
+   * @param {Object} data - Request data with the monster
+   */
+  startFearTargeting(data) {
+    this.fearTargeting = {
+      monster: data.monster,
+      count: data.monster.getFearTargetCount(),
+      unitIds: []
+    };
+    
+    this.showFearTargets();
+  }
+  
+  /**
+   * Highlight the boxes holding units that can still be designated
+   */
+  showFearTargets() {
+    const { monster, count, unitIds } = this.fearTargeting;
+    const nodeIds = monster.getFearTargets()
+      .filter(unit => !unitIds.includes(unit.id))
+      .map(unit => unit.currentNodeId);
+    
+    this.mapManager.highlightNodes([...new Set(nodeIds)], 0x9933FF, 'Fear');
+    this.showStatusMessage(`Monster Player: choose ${count - unitIds.length} more unit${count - unitIds.length === 1 ? '' : 's'} to immobilize with fear`);
+  }
+  
+  /**
+   * Designate the next eligible unit in a box for fear
+   * @param {number} nodeId - ID of the chosen box
+   */
+  selectFearTarget(nodeId) {
+    const { monster, count, unitIds } = this.fearTargeting;
+    const unit = monster.getFearTargets().find(target => 
+      target.currentNodeId === nodeId && !unitIds.includes(target.id)
+    );
+    
+    if (!unit) {
+      this.showStatusMessage('Choose a unit in one of the highlighted boxes');
+      return;
+    }
+    
+    unitIds.push(unit.id);
+    if (unitIds.length < count) {
+      this.showFearTargets();
+      return;
+    }
+    
+    this.fearTargeting = null;
+    this.mapManager.clearHighlights();
+    
+    if (monster.useAbility('fearImmobilization', { unitIds: unitIds })) {
+      const types = unitIds.map(unitId => this.gameState.units.get(unitId).type);
+      this.showStatusMessage(`Immobilized by fear this Movement Phase: ${types.join(' and ')}`);
+    }
+    
+    this.events.emit('fear-targets-chosen', { unitIds: unitIds });
+  }
+  
+  /**
+   * Highlight boxes holding more units than the stacking limit allows
+   * @param {Array<Object>} illegalStacks - Illegal stacks as { nodeId, count, limit }
+   */
+  showStackingViolations(illegalStacks) {
+    this.mapManager.highlightNodes(illegalStacks.map(stack => stack.nodeId), 0xFF00FF, 'Overstacked');
+    this.showStatusMessage(`Move units out of ${illegalStacks.length} overstacked box${illegalStacks.length === 1 ? '' : 'es'} before ending the phase`);
+  }
+  
+  /**
+   * Set up handlers for the monster's building destruction attempts
+   */
+  setupDestructionHandlers() {
+    // Unit panel destruction actions
+    this.events.on('monster-action-destroy', this.startMonsterDestruction, this);
+    this.events.on('monster-destruction-adjust-points', this.adjustMonsterDestructionPoints, this);
+    this.events.on('monster-destruction-resolve', this.resolveMonsterDestruction, this);
+    this.events.on('monster-destruction-cancel', this.cancelMonsterDestruction, this);
+    
+    // Destruction Points are only committed during the destruction phase
+    this.events.on('sub-phase-changed', this.cancelMonsterDestruction, this);
+    
+    // Web Spinning target selection
+    this.events.on('monster-action-web', this.startWebSpinning, this);
+    
+    // Blinding Light
+    this.events.on('monster-action-blinding-light', this.useBlindingLight, this);
+    this.events.on('sub-phase-changed', this.cancelWebSpinning, this);
+  }
+  
   /**
    * Create UI elements for the game scene
    */
@@ -572,6 +988,16 @@ class GameScene extends Phaser.Scene {
       );
     }).catch(error => console.error("Error loading MonsterDashboard:", error));
     
+    import('../ui/DamageAllocationPrompt.js').then(module => {
+      const DamageAllocationPrompt = module.default;
+      // Create damage allocation prompt (shown when the monster takes damage)
+      this.damageAllocationPrompt = new DamageAllocationPrompt(
+        this,
+        this.cameras.main.width / 2 - 160,
+        this.cameras.main.height / 2 - 130
+      );
+    }).catch(error => console.error("Error loading DamageAllocationPrompt:", error));
+    
     // Add movement points display (temporary, will be removed when movement system is complete)
     this.movementText = this.add.text(20, 20, `Movement Points: ${this.movementPoints}`, {
       fontSize: '18px',
@@ -644,9 +1070,15 @@ class GameScene extends Phaser.Scene {
     // Update fire stats display when fire changes
     this.events.on('marker-placed', this.updateFireStats, this);
     this.events.on('marker-removed', this.updateFireStats, this);
-    this.events.on('fire-intensity-changed', this.updateFireStats, this);
+    this.events.on('fire-stage-changed', this.updateFireStats, this);
     this.events.on('wind-direction-changed', this.updateFireStats, this);
     
+    // Summarize each Fire Phase's wind and spread rolls
+    this.events.on('fire-spread-report', this.showFireSpreadReport, this);
+    
+    // Report units and monsters hurt by flames
+    this.events.on('flame-effects', this.showFlameEffects, this);
+    
     // Handle window resize
     this.scale.on('resize', this.resizeUI, this);
   }
@@ -663,13 +1095,55 @@ class GameScene extends Phaser.Scene {
       } else {
         this.fireStatsText.setText(
           `Fire Stats: ${stats.total} total\n` +
-          `Stage 1: ${stats.stage1}, Stage 2: ${stats.stage2}, Stage 3: ${stats.stage3}\n` +
-          `Wind Direction: ${stats.windDirection}`
+          `Stage 1: ${stats.stage1}, Stage 2: ${stats.stage2}, Stage 3: ${stats.stage3}, R: ${stats.stageR}\n` +
+          `Wind: ${WindDiagram.getName(stats.windDirection)}`
         );
       }
     }
   }
   
+  /**
+   * Show the result of a Fire Phase's spread rolls
+   * @param {Object} report - Spread report from the fire manager
+   */
+  showFireSpreadReport(report) {
+    const wind = report.windRoll ? `Wind roll ${report.windRoll}: ${report.windName}` : `Wind: ${report.windName}`;
+    
+    if (report.checks.length === 0) {
+      this.showStatusMessage(`${wind}. No boxes at risk of fire`);
+      return;
+    }
+    
+    const spread = report.newFires.length > 0 ? 
+      `fire spread to ${report.newFires.length} box${report.newFires.length === 1 ? '' : 'es'}` : 
+      'no fire spread';
+    this.showStatusMessage(`${wind}. ${report.checks.length} box${report.checks.length === 1 ? '' : 'es'} rolled, ${spread}`);
+  }
+  
+  /**
+   * Show what flames did to the units or monster in a box
+   * @param {Object} data - Flame effects from the fire manager
+   */
+  showFlameEffects(data) {
+    if (data.cause === 'monster') {
+      this.showStatusMessage(`The monster entered the fire in box ${data.nodeId} and takes ${data.damage} damage`);
+      return;
+    }
+    
+    if (data.cause !== 'ignited') {
+      const unit = data.results[0].unit;
+      this.showStatusMessage(data.cause === 'stayed' ? 
+        `${unit.type} did not leave the fire in box ${data.nodeId} and was eliminated` : 
+        `${unit.type} ended its move in the fire in box ${data.nodeId} and was eliminated`);
+      return;
+    }
+    
+    const killed = data.results.filter(result => result.killed);
+    const rolls = data.results.map(result => `${result.unit.type} ${result.dieRoll}`).join(', ');
+    this.showStatusMessage(`Box ${data.nodeId} caught fire (${rolls}): ` +
+      `${killed.length} of ${data.results.length} unit${data.results.length === 1 ? '' : 's'} killed`);
+  }
+  
   /**
    * Update the turn display with current turn information
    */
@@ -732,19 +1206,56 @@ class GameScene extends Phaser.Scene {
     
     console.log(`Selected unit ${unit.type} (ID: ${unit.id})`);
     
+    // Units immobilized by fear stay put this phase
+    if (this.turnManager.currentSubPhase === 'movement' && unit.fearImmobilized) {
+      this.showStatusMessage('Immobilized by fear: this unit can\'t move this phase');
+    }
     // Show movement range for selected unit
-    if (this.turnManager.currentSubPhase === 'movement') {
+    else if (this.turnManager.currentSubPhase === 'movement') {
       this.mapManager.showMovementRange(
         unit.currentNodeId,
         unit.currentMovementPoints || 0,
         unit
       );
+      
+      if (unit.webbedPhases > 0) {
+        this.showStatusMessage(`Caught in a web: ${unit.webbedPhases} Movement Phase(s) to cut free`);
+      } else if (unit.mustLeaveFireNodeId === unit.currentNodeId) {
+        this.showStatusMessage(`The monster set box ${unit.currentNodeId} on fire: move this unit out or it is eliminated`);
+      }
+    }
+    
+    // Show the fires a firefighting unit can reach during the Fire Phase
+    if (this.turnManager.currentSubPhase === 'fire-control') {
+      this.showExtinguishTargets(unit);
     }
     
     // Emit unit selected event
     this.events.emit('unit-selected', unit);
   }
   
+  /**
+   * Highlight the burning boxes a unit may put out this Fire Phase
+   * @param {Object} unit - The selected unit
+   */
+  showExtinguishTargets(unit) {
+    const targets = this.fireManager.getExtinguishTargets(unit);
+    this.mapManager.highlightNodes(targets, 0x00AAFF, 'Put out');
+    
+    if (!['firemen', 'fireboat'].includes(unit.type)) return;
+    
+    const remaining = this.fireManager.getRemainingExtinguishes(unit);
+    if (remaining === 0) {
+      this.showStatusMessage(`This ${unit.type} has already put out its fires this phase`);
+    } else if (targets.length === 0) {
+      this.showStatusMessage(unit.type === 'firemen' ? 
+        'Firemen can only put out a fire in their own box' : 
+        'No fires within three boxes of the fireboat');
+    } else {
+      this.showStatusMessage(`Choose a fire to put out (${remaining} left for this ${unit.type})`);
+    }
+  }
+  
   /**
    * Select the monster for movement/combat/abilities
    * @param {Monster} monster - The monster to select
@@ -787,8 +1298,9 @@ class GameScene extends Phaser.Scene {
   /**
    * Move the selected unit to a target node
    * @param {number} targetNodeId - ID of the target node
+   * @param {boolean} confirmFire - True once the Human Player has agreed to end the move in fire
    */
-  moveSelectedUnit(targetNodeId) {
+  moveSelectedUnit(targetNodeId, confirmFire = false) {
     if (!this.selectedUnit) return;
     
     if (this.turnManager.currentSubPhase !== 'movement') {
@@ -802,11 +1314,46 @@ class GameScene extends Phaser.Scene {
       return;
     }
     
-    // TODO: Implement actual unit movement
-    console.log(`Would move unit ${this.selectedUnit.id} to node ${targetNodeId}`);
+    // A unit ending its move in a burning box is eliminated (11.41), unless it fights fires
+    if (!confirmFire && this.fireManager.isBurning(targetNodeId) && !this.fireManager.isFirefighter(this.selectedUnit)) {
+      this.confirmMoveIntoFire(this.selectedUnit, targetNodeId);
+      return;
+    }
+    
+    // Stacking is only checked when movement ends, so warn rather than refuse
+    const overstacked = this.stackingRules.wouldOverstack(this.selectedUnit, targetNodeId);
     
-    // Emit movement completed event
-    this.events.emit('movement-completed');
+    if (this.selectedUnit.moveToNode(targetNodeId)) {
+      if (overstacked) {
+        this.showStatusMessage('Box exceeds the stacking limit: move a unit out before the phase ends');
+      }
+      
+      // Emit movement completed event
+      this.events.emit('movement-completed');
+    }
+  }
+  
+  /**
+   * Ask the Human Player to confirm a move that ends in a burning box
+   * @param {Object} unit - The unit about to move
+   * @param {number} targetNodeId - ID of the burning box
+   */
+  confirmMoveIntoFire(unit, targetNodeId) {
+    import('../ui/ConfirmDialog.js').then(module => {
+      const ConfirmDialog = module.default;
+      new ConfirmDialog(this, {
+        title: 'MOVE INTO FIRE',
+        message: `Box ${targetNodeId} is burning.\n\n` +
+          `A ${unit.type} unit ending its move there is eliminated.\n` +
+          'Only firemen and fireboats may stay in a fire.',
+        confirmLabel: 'MOVE',
+        onConfirm: () => {
+          if (this.selectedUnit === unit) {
+            this.moveSelectedUnit(targetNodeId, true);
+          }
+        }
+      });
+    }).catch(error => console.error("Error loading ConfirmDialog:", error));
   }
   
   /**
@@ -827,32 +1374,338 @@ class GameScene extends Phaser.Scene {
       return;
     }
     
-    // TODO: Implement actual monster movement
-    console.log(`Would move monster ${this.selectedMonster.id} to node ${targetNodeId}`);
-    
-    // Emit movement completed event
-    this.events.emit('movement-completed');
+    // Moves that overrun human units wait for the confirmation prompt
+    if (this.selectedMonster.moveToNode(targetNodeId)) {
+      // Emit movement completed event
+      this.events.emit('movement-completed');
+    }
   }
   
   /**
-   * Initiate combat between attacker and defender
-   * @param {Unit|Monster} attacker - The attacking unit
-   * @param {Unit|Monster} defender - The defending unit
+   * Ask the Monster Player to confirm a move that overruns human non-combat units
+   * @param {Object} request - Overrun request from the monster
    */
-  initiateCombat(attacker, defender) {
-    if (this.turnManager.currentSubPhase !== 'combat') {
-      console.log(`Cannot initiate combat during ${this.turnManager.currentSubPhase} phase`);
-      return;
-    }
-    
-    console.log(`Initiating combat between ${attacker.constructor.name} and ${defender.constructor.name}`);
+  confirmMonsterOverrun(request) {
+    const { monster, targetNodeId, overrunNodeIds, attackCost } = request;
+    const unitCount = overrunNodeIds.reduce(
+      (total, nodeId) => total + this.gameState.getUnitsAtNode(nodeId).length, 0
+    );
     
-    // Emit combat initiated event
-    this.events.emit('combat-initiated', {
-      attacker: attacker,
-      defender: defender
-    });
-  }
+    import('../ui/ConfirmDialog.js').then(module => {
+      const ConfirmDialog = module.default;
+      new ConfirmDialog(this, {
+        title: 'OVERRUN',
+        message: `Overrun ${unitCount} non-combat unit${unitCount === 1 ? '' : 's'} ` +
+          `in box${overrunNodeIds.length === 1 ? '' : 'es'} ${overrunNodeIds.join(', ')}?\n\n` +
+          `Costs ${attackCost} attack strength ` +
+          `(${monster.remainingAttackStrength - attackCost} left for the Combat Phase)`,
+        confirmLabel: 'OVERRUN',
+        onConfirm: () => {
+          if (monster.moveToNode(targetNodeId, { confirmOverrun: true })) {
+            this.events.emit('movement-completed');
+          }
+        }
+      });
+    }).catch(error => console.error("Error loading ConfirmDialog:", error));
+  }
+  
+  /**
+   * Let the Human Player choose which firefighting units arrive (11.31)
+   */
+  chooseFireUnits() {
+    import('../ui/ConfirmDialog.js').then(module => {
+      const ConfirmDialog = module.default;
+      new ConfirmDialog(this, {
+        title: 'FIRE DEPARTMENT ARRIVES',
+        message: 'Choose three firemen and one fireboat, or four firemen.\n\n' +
+          'Place them anywhere except the monster\'s box. A fireboat must be placed in a river box.',
+        confirmLabel: 'FIREMEN + BOAT',
+        cancelLabel: '4 FIREMEN',
+        confirmColor: 0x004477,
+        cancelColor: 0x004477,
+        onConfirm: () => this.startUnitPlacement(['fireboat', 'firemen', 'firemen', 'firemen'], 'fire-units-placed'),
+        onCancel: () => this.startUnitPlacement(['firemen', 'firemen', 'firemen', 'firemen'], 'fire-units-placed')
+      });
+    }).catch(error => console.error("Error loading ConfirmDialog:", error));
+  }
+  
+  /**
+   * Enter placement mode for arriving units, placed one at a time
+   * @param {Array<string>} unitTypes - Types of the units to place, in order
+   * @param {string} completedEvent - Event emitted once every unit has been placed
+   */
+  startUnitPlacement(unitTypes, completedEvent) {
+    this.unitPlacement = {
+      unitTypes: [...unitTypes],
+      completedEvent: completedEvent,
+      nodeIds: []
+    };
+    
+    this.showNextUnitPlacement();
+  }
+  
+  /**
+   * Highlight the boxes the next arriving unit may be placed in
+   */
+  showNextUnitPlacement() {
+    const placement = this.unitPlacement;
+    
+    // Skip units with nowhere to go, e.g. a fireboat on a map without free river boxes
+    while (placement.unitTypes.length > 0) {
+      placement.nodeIds = this.getUnitPlacementNodes(placement.unitTypes[0]);
+      if (placement.nodeIds.length > 0) break;
+      
+      console.warn(`No legal box to place ${placement.unitTypes[0]}`);
+      placement.unitTypes.shift();
+    }
+    
+    if (placement.unitTypes.length === 0) {
+      this.unitPlacement = null;
+      this.mapManager.clearHighlights();
+      this.showStatusMessage('All arriving units placed');
+      this.events.emit(placement.completedEvent);
+      return;
+    }
+    
+    const unitType = placement.unitTypes[0];
+    const remaining = placement.unitTypes.filter(type => type === unitType).length;
+    
+    this.mapManager.highlightNodes(placement.nodeIds, 0x00CCFF, 'Place');
+    this.showStatusMessage(`Place ${unitType} (${remaining} to place)`);
+  }
+  
+  /**
+   * Get the boxes an arriving unit may be placed in
+   * @param {string} unitType - Type of the arriving unit
+   * @returns {Array<number>} IDs of the legal boxes
+   */
+  getUnitPlacementNodes(unitType) {
+    return Object.values(this.mapManager.nodes)
+      .filter(node => {
+        // Fireboats go in river boxes, everything else on land
+        const isRiver = node.terrainType === 'river';
+        if (isRiver !== (unitType === 'fireboat')) return false;
+        
+        if (!this.mapManager.terrainTypes.isPassable(node.terrainType, unitType)) return false;
+        if (this.gameState.hasMarker(node.id, 'web')) return false;
+        
+        // Never in the monster's box, nor in an overstacked box
+        return this.stackingRules.canOccupy({ type: unitType }, node.id);
+      })
+      .map(node => node.id);
+  }
+  
+  /**
+   * Place the next arriving unit in a box
+   * @param {number} nodeId - ID of the chosen box
+   */
+  placeArrivingUnit(nodeId) {
+    const placement = this.unitPlacement;
+    if (!placement.nodeIds.includes(nodeId)) {
+      this.showStatusMessage('Choose one of the highlighted boxes');
+      return;
+    }
+    
+    const unitType = placement.unitTypes.shift();
+    const stats = this.dataManager.getUnitStats(unitType);
+    
+    // Emit unit creation event
+    this.events.emit('unit-created', {
+      id: `unit-${unitType}-arrival-${this.gameState.units.size}`,
+      type: unitType,
+      currentNodeId: nodeId,
+      faction: 'human',
+      stats: stats,
+      currentMovementPoints: stats ? stats.movement : 0
+    });
+    
+    this.showNextUnitPlacement();
+  }
+  
+  /**
+   * Initiate combat between attacker and defender
+   * @param {Unit|Monster|Array<Unit>} attacker - The attacking unit, or a group of human units
+   * @param {Unit|Monster|Array<Unit>} defender - The defending unit, or units in one box attacked by the monster
+   * @param {Object} options - Additional combat parameters (e.g. the monster's allocated attackStrength)
+   */
+  initiateCombat(attacker, defender, options = {}) {
+    if (this.turnManager.currentSubPhase !== 'combat') {
+      console.log(`Cannot initiate combat during ${this.turnManager.currentSubPhase} phase`);
+      return;
+    }
+    
+    const attackers = Array.isArray(attacker) ? attacker : [attacker];
+    const defenders = Array.isArray(defender) ? defender : [defender];
+    const describe = participants => participants.map(p => p.type || p.constructor.name).join(', ');
+    console.log(`Initiating combat between ${describe(attackers)} and ${describe(defenders)}`);
+    
+    // Emit combat initiated event
+    this.events.emit('combat-initiated', {
+      ...options,
+      attacker: attackers.length === 1 ? attackers[0] : attackers,
+      attackers: attackers,
+      defender: defenders[0],
+      defenders: defenders
+    });
+  }
+  
+  /**
+   * Get the monster currently in play
+   * @returns {Monster|null} The monster, or null if none has been created
+   */
+  getMonster() {
+    return this.gameState.monsters.values().next().value || null;
+  }
+  
+  /**
+   * Add a unit to the attack being built against the monster, or against
+   * the mind-controlled unit chosen as the target.
+   * Any number of eligible units may combine their strengths into one
+   * attack, or be split across several attacks (rule 6.14).
+   * @param {Unit} unit - The unit joining the attack
+   */
+  addToAttackGroup(unit) {
+    if (this.turnManager.currentPhase !== 'human' || this.turnManager.currentSubPhase !== 'combat') {
+      console.log(`Cannot build an attack during ${this.turnManager.currentSubPhase} phase`);
+      return;
+    }
+    
+    const defender = this.attackGroup ? this.attackGroup.defender : this.getMonster();
+    if (!defender) {
+      console.log('No monster to attack');
+      return;
+    }
+    
+    // Start a new attack if none is being built
+    if (!this.attackGroup) {
+      this.attackGroup = {
+        defender: defender,
+        attackers: []
+      };
+    }
+    
+    if (this.attackGroup.attackers.includes(unit)) return;
+    
+    // Check that this unit may attack the target at all
+    const restriction = this.combatManager.getCombatRestriction(unit, defender);
+    if (restriction) {
+      this.showStatusMessage(restriction);
+      return;
+    }
+    
+    // Check that it may combine with the units already attacking
+    const groupRestriction = this.combatManager.getAttackGroupRestriction(
+      this.attackGroup.attackers, unit, defender
+    );
+    if (groupRestriction) {
+      this.showStatusMessage(groupRestriction);
+      return;
+    }
+    
+    this.attackGroup.attackers.push(unit);
+    console.log(`Added ${unit.type} to attack (${this.attackGroup.attackers.length} units)`);
+    
+    this.events.emit('attack-group-changed', this.getAttackGroupSummary());
+  }
+  
+  /**
+   * Remove a unit from the attack being built
+   * @param {Unit} unit - The unit leaving the attack
+   */
+  removeFromAttackGroup(unit) {
+    if (!this.attackGroup) return;
+    
+    this.attackGroup.attackers = this.attackGroup.attackers.filter(attacker => attacker !== unit);
+    
+    // Drop the attack entirely once it has no participants
+    if (this.attackGroup.attackers.length === 0) {
+      this.cancelAttackGroup();
+      return;
+    }
+    
+    this.events.emit('attack-group-changed', this.getAttackGroupSummary());
+  }
+  
+  /**
+   * Start building an attack against a unit the monster controls, replacing
+   * any attack being built
+   * @param {Unit} unit - The mind-controlled unit to attack
+   */
+  setAttackTarget(unit) {
+    if (this.turnManager.currentPhase !== 'human' || this.turnManager.currentSubPhase !== 'combat') {
+      console.log(`Cannot build an attack during ${this.turnManager.currentSubPhase} phase`);
+      return;
+    }
+    
+    if (this.gameState.getController(unit) !== 'monster') {
+      this.showStatusMessage('Only units under the monster\'s control can be attacked');
+      return;
+    }
+    
+    this.attackGroup = {
+      defender: unit,
+      attackers: []
+    };
+    
+    this.showStatusMessage(`Attacking the mind-controlled ${unit.type}: select units to add to the attack`);
+    this.events.emit('attack-group-changed', this.getAttackGroupSummary());
+  }
+  
+  /**
+   * Discard the attack being built without resolving it
+   */
+  cancelAttackGroup() {
+    if (!this.attackGroup) return;
+    
+    this.attackGroup = null;
+    this.events.emit('attack-group-changed', null);
+  }
+  
+  /**
+   * Resolve the attack being built. The monster defends with its current
+   * defense strength, so damage from an earlier attack carries into the next.
+   */
+  resolveAttackGroup() {
+    if (!this.attackGroup) return;
+    
+    const { attackers, defender } = this.attackGroup;
+    if (attackers.length === 0) {
+      this.showStatusMessage('Add at least one unit to the attack');
+      return;
+    }
+    
+    const preview = this.combatManager.getCombatPreview(attackers, defender);
+    if (preview.prohibited) {
+      this.showStatusMessage(`Attack prohibited at ${preview.attackerStrength}:${preview.defenderStrength}`);
+      return;
+    }
+    
+    // Clear the builder before resolving so the next attack starts fresh
+    this.attackGroup = null;
+    this.events.emit('attack-group-changed', null);
+    
+    this.initiateCombat(attackers, defender);
+    
+    // Record the attack with the turn manager
+    this.events.emit('combat-completed');
+  }
+  
+  /**
+   * Summarize the attack being built for display
+   * @returns {Object|null} Attackers, defender, odds preview and grouping rule, or null if no attack is being built
+   */
+  getAttackGroupSummary() {
+    if (!this.attackGroup) return null;
+    
+    const { attackers, defender } = this.attackGroup;
+    
+    return {
+      attackers: attackers,
+      defender: defender,
+      preview: attackers.length > 0 ? this.combatManager.getCombatPreview(attackers, defender) : null,
+      groupRule: this.combatManager.describeAttackGroupRule(attackers, defender)
+    };
+  }
   
   /**
    * Update the movement points display
@@ -950,40 +1803,724 @@ class GameScene extends Phaser.Scene {
     });
   }
   
+  /**
+   * Begin allocating part of the monster's attack strength to an attack (rule 6.23)
+   * @param {Monster} monster - The attacking monster
+   */
+  startMonsterAttack(monster) {
+    if (this.turnManager.currentPhase !== 'monster' || this.turnManager.currentSubPhase !== 'combat') {
+      console.log(`Cannot attack during ${this.turnManager.currentSubPhase} phase`);
+      return;
+    }
+    
+    if (!monster.canAttack()) {
+      this.showStatusMessage(monster.attacksHalted ? 
+        'The monster retreated and cannot attack again this phase' : 
+        'No attack strength remaining this turn');
+      return;
+    }
+    
+    const targetNodeIds = this.getMonsterAttackTargetNodes(monster);
+    if (targetNodeIds.length === 0) {
+      this.showStatusMessage('No units within reach of the monster');
+      return;
+    }
+    
+    this.monsterAttack = {
+      monster: monster,
+      nodeId: null,
+      defenders: [],
+      strength: monster.remainingAttackStrength
+    };
+    
+    // Show the boxes that can be attacked
+    this.showMonsterAttackTargets(monster, targetNodeIds);
+    
+    this.events.emit('monster-attack-changed', this.getMonsterAttackSummary());
+  }
+  
+  /**
+   * Highlight the monster's attack range and targets. A monster throwing
+   * lightning also shows the boxes it can see within range, and its ranged
+   * targets apart from adjacent ones (13.13).
+   * @param {Monster} monster - The attacking monster
+   * @param {Array<number>} targetNodeIds - IDs of boxes with attackable units
+   */
+  showMonsterAttackTargets(monster, targetNodeIds) {
+    const range = this.dataManager.getAttackRange(monster);
+    const distances = this.mapManager.getNodesInRange(monster.currentNodeId, range);
+    
+    this.mapManager.clearHighlights();
+    
+    if (range > 1) {
+      const sightMode = this.combatManager.getSightMode(monster);
+      const inSight = Object.keys(distances)
+        .map(nodeId => parseInt(nodeId))
+        .filter(nodeId => distances[nodeId] > 0 && !targetNodeIds.includes(nodeId) && 
+          (distances[nodeId] <= 1 || 
+           this.mapManager.hasLineOfSight(monster.currentNodeId, nodeId, monster, sightMode)));
+      
+      this.mapManager.highlightNodes(inSight, 0xFFFF66, null, true);
+    }
+    
+    this.mapManager.highlightNodes(targetNodeIds.filter(nodeId => distances[nodeId] <= 1), 0xFF3333, 'Target', true);
+    this.mapManager.highlightNodes(targetNodeIds.filter(nodeId => distances[nodeId] > 1), 0xFFAA00, 'Lightning', true);
+  }
+  
+  /**
+   * Get the boxes containing units the monster can attack
+   * @param {Monster} monster - The attacking monster
+   * @returns {Array<number>} IDs of boxes with attackable units
+   */
+  getMonsterAttackTargetNodes(monster) {
+    // Boxes within the monster's range, including its own box
+    const range = this.dataManager.getAttackRange(monster);
+    const candidateIds = Object.keys(this.mapManager.getNodesInRange(monster.currentNodeId, range))
+      .map(nodeId => parseInt(nodeId));
+    
+    return candidateIds.filter(nodeId => 
+      this.gameState.getUnitsAtNode(nodeId).some(unit => 
+        !this.combatManager.getCombatRestriction(monster, unit)
+      )
+    );
+  }
+  
+  /**
+   * Choose the box the monster's attack is made into. All units in the box
+   * are targeted until the Monster Player deselects some of them.
+   * @param {number} nodeId - ID of the target box
+   */
+  selectMonsterAttackTarget(nodeId) {
+    if (!this.monsterAttack) return;
+    
+    const targetNodeIds = this.getMonsterAttackTargetNodes(this.monsterAttack.monster);
+    if (!targetNodeIds.includes(nodeId)) {
+      this.showStatusMessage('The monster cannot attack that box');
+      return;
+    }
+    
+    this.monsterAttack.nodeId = nodeId;
+    this.monsterAttack.defenders = this.gameState.getUnitsAtNode(nodeId, 'human');
+    
+    if (this.combatManager.isRangedAttack([this.monsterAttack.monster], this.monsterAttack.defenders[0])) {
+      this.mapManager.highlightNodes([nodeId], 0xFFAA00, 'Lightning');
+    } else {
+      this.mapManager.highlightNodes([nodeId], 0xFF3333, 'Target');
+    }
+    
+    this.events.emit('monster-attack-changed', this.getMonsterAttackSummary());
+  }
+  
+  /**
+   * Include or exclude a unit in the target box from the monster's attack
+   * @param {Unit} unit - The unit to toggle
+   */
+  toggleMonsterAttackTarget(unit) {
+    if (!this.monsterAttack || this.monsterAttack.nodeId === null) return;
+    
+    const defenders = this.monsterAttack.defenders;
+    this.monsterAttack.defenders = defenders.includes(unit) ? 
+      defenders.filter(defender => defender !== unit) : 
+      [...defenders, unit];
+    
+    this.events.emit('monster-attack-changed', this.getMonsterAttackSummary());
+  }
+  
+  /**
+   * Change how much of the monster's remaining attack strength the attack uses
+   * @param {number} delta - Amount to add to (or remove from) the allocation
+   */
+  adjustMonsterAttackStrength(delta) {
+    if (!this.monsterAttack) return;
+    
+    const remaining = this.monsterAttack.monster.remainingAttackStrength;
+    this.monsterAttack.strength = Phaser.Math.Clamp(this.monsterAttack.strength + delta, 1, remaining);
+    
+    this.events.emit('monster-attack-changed', this.getMonsterAttackSummary());
+  }
+  
+  /**
+   * Resolve the monster attack being allocated
+   */
+  resolveMonsterAttack() {
+    if (!this.monsterAttack) return;
+    
+    const { monster, defenders, strength } = this.monsterAttack;
+    
+    if (defenders.length === 0) {
+      this.showStatusMessage('Choose at least one unit to attack');
+      return;
+    }
+    
+    // Enforce the attack budget and target selection rules before rolling
+    const restriction = this.combatManager.getMonsterAttackRestriction(monster, defenders, strength);
+    if (restriction) {
+      this.showStatusMessage(restriction);
+      return;
+    }
+    
+    const preview = this.combatManager.getCombatPreview(monster, defenders, strength);
+    if (preview.prohibited) {
+      this.showStatusMessage(`Attack prohibited at ${preview.attackerStrength}:${preview.defenderStrength}`);
+      return;
+    }
+    
+    // Clear the allocation before resolving so the next attack starts fresh
+    this.monsterAttack = null;
+    this.mapManager.clearHighlights();
+    
+    this.initiateCombat(monster, defenders, { attackStrength: strength });
+    
+    // Record the attack with the turn manager
+    this.events.emit('combat-completed');
+    
+    if (monster.attacksHalted) {
+      this.showStatusMessage('The monster was forced to retreat and cannot attack again this phase');
+    }
+    
+    this.events.emit('monster-attack-changed', null);
+  }
+  
+  /**
+   * Abandon the monster attack being allocated
+   */
+  cancelMonsterAttack() {
+    if (!this.monsterAttack) return;
+    
+    this.monsterAttack = null;
+    this.mapManager.clearHighlights();
+    
+    this.events.emit('monster-attack-changed', null);
+  }
+  
+  /**
+   * Summarize the monster attack being allocated for display
+   * @returns {Object|null} Target box, units, allocation and odds preview, or null if no attack is being allocated
+   */
+  getMonsterAttackSummary() {
+    if (!this.monsterAttack) return null;
+    
+    const { monster, nodeId, defenders, strength } = this.monsterAttack;
+    
+    return {
+      monster: monster,
+      nodeId: nodeId,
+      units: nodeId !== null ? this.gameState.getUnitsAtNode(nodeId, 'human') : [],
+      defenders: defenders,
+      isRanged: nodeId !== null && 
+        this.combatManager.isRangedAttack([monster], this.gameState.getUnitsAtNode(nodeId, 'human')[0]),
+      strength: strength,
+      remaining: monster.remainingAttackStrength,
+      restriction: defenders.length > 0 ? 
+        this.combatManager.getMonsterAttackRestriction(monster, defenders, strength) : null,
+      preview: defenders.length > 0 ? 
+        this.combatManager.getCombatPreview(monster, defenders, strength) : null
+    };
+  }
+  
+  /**
+   * Get the human units a mind-controlled unit can attack
+   * @param {Unit} unit - The attacking unit
+   * @returns {Array<Unit>} Units it may attack
+   */
+  getControlledUnitTargets(unit) {
+    return this.gameState.getUnitsControlledBy('human').filter(target => 
+      !this.combatManager.getCombatRestriction(unit, target)
+    );
+  }
+  
+  /**
+   * Start choosing the human unit a mind-controlled unit attacks
+   * @param {Unit} unit - The unit under the monster's control
+   */
+  startControlledUnitAttack(unit) {
+    if (this.turnManager.currentPhase !== 'monster' || this.turnManager.currentSubPhase !== 'combat') {
+      console.log(`Cannot attack during ${this.turnManager.currentSubPhase} phase`);
+      return;
+    }
+    
+    const targets = this.getControlledUnitTargets(unit);
+    if (targets.length === 0) {
+      this.showStatusMessage(`The ${unit.type} has no human units it can attack`);
+      return;
+    }
+    
+    this.cancelMonsterAttack();
+    this.controlledUnitAttack = { unit: unit };
+    
+    this.mapManager.highlightNodes([...new Set(targets.map(target => target.currentNodeId))], 0xFF3333, 'Target');
+    this.showStatusMessage(`Choose a box for the mind-controlled ${unit.type} to attack`);
+    
+    this.events.emit('controlled-unit-attack-changed', this.controlledUnitAttack);
+  }
+  
+  /**
+   * Attack the first eligible human unit in the chosen box
+   * @param {number} nodeId - ID of the chosen box
+   */
+  selectControlledUnitTarget(nodeId) {
+    const { unit } = this.controlledUnitAttack;
+    const target = this.getControlledUnitTargets(unit).find(candidate => candidate.currentNodeId === nodeId);
+    
+    if (!target) {
+      this.showStatusMessage('Choose one of the highlighted boxes');
+      return;
+    }
+    
+    const preview = this.combatManager.getCombatPreview(unit, target);
+    if (preview.prohibited) {
+      this.showStatusMessage(`Attack prohibited at ${preview.attackerStrength}:${preview.defenderStrength}`);
+      return;
+    }
+    
+    this.cancelControlledUnitAttack();
+    this.initiateCombat(unit, target);
+    
+    // Record the attack with the turn manager
+    this.events.emit('combat-completed');
+  }
+  
+  /**
+   * Stop choosing a target for a mind-controlled unit
+   */
+  cancelControlledUnitAttack() {
+    if (!this.controlledUnitAttack) return;
+    
+    this.controlledUnitAttack = null;
+    this.mapManager.clearHighlights();
+    
+    this.events.emit('controlled-unit-attack-changed', null);
+  }
+  
+  /**
+   * Start a building destruction attempt for the monster
+   * @param {Monster} monster - The monster making the attempt
+   */
+  startMonsterDestruction(monster) {
+    if (this.turnManager.currentPhase !== 'monster' || this.turnManager.currentSubPhase !== 'destruction') {
+      console.log(`Cannot destroy buildings during ${this.turnManager.currentSubPhase} phase`);
+      return;
+    }
+    
+    if (!monster.canAttemptDestruction()) {
+      this.showStatusMessage(monster.remainingDestructionAttempts > 0 ? 
+        'No Destruction Points remaining this turn' : 
+        'No destruction attempts remaining this turn');
+      return;
+    }
+    
+    const targetNodeIds = this.getMonsterDestructionTargetNodes(monster);
+    if (targetNodeIds.length === 0) {
+      this.showStatusMessage(monster.flownOverNodeIds.length > 0 ? 
+        'No buildings or bridges among the boxes the monster flew over' : 
+        'No buildings or bridges next to the monster');
+      return;
+    }
+    
+    this.monsterDestruction = {
+      monster: monster,
+      nodeId: null,
+      points: monster.remainingDestructionPoints
+    };
+    
+    // Show the boxes that can be destroyed
+    this.mapManager.highlightNodes(targetNodeIds, 0xFF8800, 'Destroy');
+    
+    this.events.emit('monster-destruction-changed', this.getMonsterDestructionSummary());
+  }
+  
+  /**
+   * Get the building and bridge boxes the monster could destroy: adjacent
+   * boxes, or the boxes a flying monster flew over this turn
+   * @param {Monster} monster - The monster making the attempt
+   * @returns {Array<number>} IDs of destroyable boxes
+   */
+  getMonsterDestructionTargetNodes(monster) {
+    const currentNode = this.mapManager.nodes[monster.currentNodeId];
+    if (!currentNode) return [];
+    
+    const candidateNodeIds = monster.isFlying || monster.flownOverNodeIds.length > 0 ?
+      monster.flownOverNodeIds : currentNode.adjacentNodes;
+    
+    return candidateNodeIds.filter(nodeId => {
+      const node = this.mapManager.nodes[nodeId];
+      return node && monster.isDestroyableTerrain(node.terrainType);
+    });
+  }
+  
+  /**
+   * Choose the box the destruction attempt is made against
+   * @param {number} nodeId - ID of the target box
+   */
+  selectMonsterDestructionTarget(nodeId) {
+    if (!this.monsterDestruction) return;
+    
+    const targetNodeIds = this.getMonsterDestructionTargetNodes(this.monsterDestruction.monster);
+    if (!targetNodeIds.includes(nodeId)) {
+      this.showStatusMessage('The monster cannot destroy that box');
+      return;
+    }
+    
+    this.monsterDestruction.nodeId = nodeId;
+    
+    // Start from the fewest points the table allows against this box
+    const { monster } = this.monsterDestruction;
+    const minimum = this.dataManager.getMinimumDestructionPoints(
+      monster.getTargetDestructionStrength(this.mapManager.nodes[nodeId].terrainType)
+    );
+    this.monsterDestruction.points = Math.min(minimum, monster.remainingDestructionPoints);
+    
+    this.mapManager.highlightNodes([nodeId], 0xFF8800, 'Destroy');
+    
+    this.events.emit('monster-destruction-changed', this.getMonsterDestructionSummary());
+  }
+  
+  /**
+   * Change how many Destruction Points the attempt commits
+   * @param {number} delta - Amount to add to (or remove from) the commitment
+   */
+  adjustMonsterDestructionPoints(delta) {
+    if (!this.monsterDestruction) return;
+    
+    const remaining = this.monsterDestruction.monster.remainingDestructionPoints;
+    this.monsterDestruction.points = Phaser.Math.Clamp(this.monsterDestruction.points + delta, 1, remaining);
+    
+    this.events.emit('monster-destruction-changed', this.getMonsterDestructionSummary());
+  }
+  
+  /**
+   * Roll the destruction attempt being prepared
+   */
+  resolveMonsterDestruction() {
+    if (!this.monsterDestruction || this.monsterDestruction.nodeId === null) return;
+    
+    const { monster, nodeId, points } = this.monsterDestruction;
+    
+    const restriction = monster.getDestructionRestriction(nodeId, points);
+    if (restriction) {
+      this.showStatusMessage(restriction);
+      return;
+    }
+    
+    // Clear the attempt before resolving so the next one starts fresh
+    this.monsterDestruction = null;
+    this.mapManager.clearHighlights();
+    
+    // Report the die roll once the attempt has been resolved
+    const reportAttempt = attempt => {
+      this.showStatusMessage(attempt.success ? 
+        `Rolled ${attempt.dieRoll} at ${attempt.ratio}: box destroyed!` : 
+        `Rolled ${attempt.dieRoll} at ${attempt.ratio}: no effect`, 
+        attempt.success ? '#FF8800' : '#CCCCCC');
+    };
+    this.events.once('monster-destruction-attempt', reportAttempt);
+    
+    if (monster.attemptDestruction(nodeId, points)) {
+      // Record the attempt with the turn manager
+      this.events.emit('destruction-completed', true);
+    } else {
+      this.events.off('monster-destruction-attempt', reportAttempt);
+    }
+    
+    this.events.emit('monster-destruction-changed', null);
+  }
+  
+  /**
+   * Abandon the destruction attempt being prepared
+   */
+  cancelMonsterDestruction() {
+    if (!this.monsterDestruction) return;
+    
+    this.monsterDestruction = null;
+    this.mapManager.clearHighlights();
+    
+    this.events.emit('monster-destruction-changed', null);
+  }
+  
+  /**
+   * Shield the monster from attack during the next Human Combat Phase
+   * @param {Monster} monster - The monster using Blinding Light
+   */
+  useBlindingLight(monster) {
+    if (monster.useAbility('blindingLight')) {
+      this.showStatusMessage(`Blinding Light: the monster can't be attacked next Combat Phase ` +
+        `(${monster.abilityCharges.blindingLight} use${monster.abilityCharges.blindingLight === 1 ? '' : 's'} left)`);
+    }
+  }
+  
+  /**
+   * Start choosing the human unit to seize with Mind Control
+   * @param {Monster} monster - The monster using Mind Control
+   */
+  startMindControl(monster) {
+    if (this.turnManager.currentPhase !== 'monster' || this.turnManager.currentSubPhase !== 'movement') {
+      console.log(`Cannot use Mind Control during ${this.turnManager.currentSubPhase} phase`);
+      return;
+    }
+    
+    const targets = monster.getMindControlTargets();
+    if (targets.length === 0) {
+      this.showStatusMessage('No human units in the monster\'s line of sight');
+      return;
+    }
+    
+    this.mindControl = {
+      monster: monster,
+      offeredUnitId: null
+    };
+    
+    this.mapManager.highlightNodes([...new Set(targets.map(unit => unit.currentNodeId))], 0xFF66CC, 'Control');
+    this.showStatusMessage('Choose a human unit in the monster\'s line of sight to control');
+  }
+  
+  /**
+   * Offer the next eligible unit in a box for Mind Control. Clicking the
+   * box again offers the following unit in the stack.
+   * @param {number} nodeId - ID of the chosen box
+   */
+  selectMindControlTarget(nodeId) {
+    const { monster, offeredUnitId } = this.mindControl;
+    const candidates = monster.getMindControlTargets().filter(unit => unit.currentNodeId === nodeId);
+    
+    if (candidates.length === 0) {
+      this.showStatusMessage('Choose a unit in one of the highlighted boxes');
+      return;
+    }
+    
+    const offeredIndex = candidates.findIndex(unit => unit.id === offeredUnitId);
+    const unit = candidates[(offeredIndex + 1) % candidates.length];
+    this.mindControl.offeredUnitId = unit.id;
+    
+    import('../ui/ConfirmDialog.js').then(module => {
+      const ConfirmDialog = module.default;
+      new ConfirmDialog(this, {
+        title: 'MIND CONTROL',
+        message: `Take control of the ${unit.type} in box ${nodeId}?\n\n` +
+          'Mind Control can be used once per game.' +
+          (candidates.length > 1 ? '\nClick the box again for another unit.' : ''),
+        confirmLabel: 'SEIZE',
+        onConfirm: () => this.finishMindControl(unit)
+      });
+    }).catch(error => console.error("Error loading ConfirmDialog:", error));
+  }
+  
+  /**
+   * Seize the chosen unit
+   * @param {Unit} unit - The unit to control
+   */
+  finishMindControl(unit) {
+    if (!this.mindControl) return;
+    
+    const { monster } = this.mindControl;
+    this.cancelMindControl();
+    
+    if (monster.useAbility('mindControl', { unitId: unit.id })) {
+      this.showStatusMessage(`The monster controls the ${unit.type} until it is destroyed or the monster dies`);
+    }
+  }
+  
+  /**
+   * Stop choosing a unit to seize
+   */
+  cancelMindControl() {
+    if (!this.mindControl) return;
+    
+    this.mindControl = null;
+    this.mapManager.clearHighlights();
+  }
+  
+  /**
+   * Start choosing the boxes for the monster to web
+   * @param {Monster} monster - The monster spinning webs
+   */
+  startWebSpinning(monster) {
+    if (this.turnManager.currentPhase !== 'monster' || this.turnManager.currentSubPhase !== 'destruction') {
+      console.log(`Cannot spin webs during ${this.turnManager.currentSubPhase} phase`);
+      return;
+    }
+    
+    if (monster.movedThisTurn) {
+      this.showStatusMessage('The monster must stay in its box for the whole Movement Phase to spin webs');
+      return;
+    }
+    
+    const targetNodeIds = monster.getWebTargets();
+    if (targetNodeIds.length === 0) {
+      this.showStatusMessage('No adjacent boxes left to web');
+      return;
+    }
+    
+    this.cancelMonsterDestruction();
+    this.webSpinning = {
+      monster: monster,
+      nodeIds: []
+    };
+    
+    this.mapManager.highlightNodes(targetNodeIds, 0xCCCCCC, 'Web');
+    this.showStatusMessage('Choose a box next to the monster to web');
+  }
+  
+  /**
+   * Add a box to the webs being spun, asking whether to web a second box
+   * @param {number} nodeId - ID of the chosen box
+   */
+  selectWebTarget(nodeId) {
+    const { monster, nodeIds } = this.webSpinning;
+    const available = monster.getWebTargets().filter(id => !nodeIds.includes(id));
+    
+    if (!available.includes(nodeId)) {
+      this.showStatusMessage('Choose one of the highlighted boxes');
+      return;
+    }
+    
+    nodeIds.push(nodeId);
+    
+    // A second box is optional
+    const remaining = available.filter(id => id !== nodeId);
+    if (nodeIds.length === 2 || remaining.length === 0) {
+      this.finishWebSpinning();
+      return;
+    }
+    
+    this.mapManager.highlightNodes(remaining, 0xCCCCCC, 'Web');
+    
+    import('../ui/ConfirmDialog.js').then(module => {
+      const ConfirmDialog = module.default;
+      new ConfirmDialog(this, {
+        title: 'WEB SPINNING',
+        message: `Web box ${nodeId}.\n\nWeb a second adjacent box as well?`,
+        confirmLabel: 'ADD BOX',
+        cancelLabel: 'DONE',
+        onConfirm: () => this.showStatusMessage('Choose a second box to web'),
+        onCancel: () => this.finishWebSpinning()
+      });
+    }).catch(error => console.error("Error loading ConfirmDialog:", error));
+  }
+  
+  /**
+   * Spin webs in the chosen boxes
+   */
+  finishWebSpinning() {
+    if (!this.webSpinning) return;
+    
+    const { monster, nodeIds } = this.webSpinning;
+    this.cancelWebSpinning();
+    
+    if (monster.useAbility('webSpinning', { nodeIds: nodeIds })) {
+      const trapped = nodeIds.reduce((total, id) => total + this.gameState.getUnitsAtNode(id).length, 0);
+      this.showStatusMessage(`Webs spun in box${nodeIds.length === 1 ? '' : 'es'} ${nodeIds.join(', ')}` +
+        (trapped > 0 ? `: ${trapped} unit${trapped === 1 ? '' : 's'} caught` : ''));
+    }
+  }
+  
+  /**
+   * Stop choosing boxes to web without spinning any
+   */
+  cancelWebSpinning() {
+    if (!this.webSpinning) return;
+    
+    this.webSpinning = null;
+    this.mapManager.clearHighlights();
+  }
+  
+  /**
+   * Summarize the destruction attempt being prepared for display
+   * @returns {Object|null} Target box, committed points and odds, or null if no attempt is being prepared
+   */
+  getMonsterDestructionSummary() {
+    if (!this.monsterDestruction) return null;
+    
+    const { monster, nodeId, points } = this.monsterDestruction;
+    const node = nodeId !== null ? this.mapManager.nodes[nodeId] : null;
+    const boxStrength = node ? monster.getTargetDestructionStrength(node.terrainType) : null;
+    const odds = node ? 
+      this.dataManager.getOddsColumn(points, boxStrength, this.dataManager.destructionTables?.odds) : null;
+    
+    return {
+      monster: monster,
+      nodeId: nodeId,
+      terrainType: node ? node.terrainType : null,
+      terrainName: node ? this.mapManager.terrainTypes.getInfo(node.terrainType).name : null,
+      boxStrength: boxStrength,
+      points: points,
+      remaining: monster.remainingDestructionPoints,
+      attemptsLeft: monster.remainingDestructionAttempts,
+      odds: odds,
+      restriction: node ? monster.getDestructionRestriction(nodeId, points) : null
+    };
+  }
+  
+  /**
+   * Show a short status message that fades out
+   * @param {string} message - The message to show
+   * @param {string} color - Text color
+   */
+  showStatusMessage(message, color = '#FFCC00') {
+    if (this.statusText) {
+      this.statusText.destroy();
+    }
+    
+    this.statusText = this.add.text(
+      this.cameras.main.width / 2,
+      140,
+      message,
+      {
+        fontSize: '18px',
+        fontStyle: 'bold',
+        fill: color,
+        backgroundColor: '#00000088',
+        padding: { x: 10, y: 5 },
+        align: 'center'
+      }
+    ).setOrigin(0.5, 0.5);
+    
+    this.statusText.setScrollFactor(0); // Fix to camera
+    this.statusText.setDepth(200);
+    
+    // Make the text fade out after a few seconds
+    const statusText = this.statusText;
+    this.tweens.add({
+      targets: statusText,
+      alpha: 0,
+      duration: 3000,
+      delay: 2000,
+      onComplete: () => {
+        statusText.destroy();
+        if (this.statusText === statusText) {
+          this.statusText = null;
+        }
+      }
+    });
+  }
+  
   /**
    * Start a fire at a specific node
    * @param {number} nodeId - The ID of the node to start fire at
-   * @param {number} intensity - Initial fire intensity (1-3)
+   * @param {number|string} stage - Initial fire stage (1, 2, 3 or 'R')
    */
-  startFire(nodeId, intensity = 1) {
-    console.log(`Starting fire at node ${nodeId} with intensity ${intensity}`);
+  startFire(nodeId, stage = 1) {
+    console.log(`Starting fire at node ${nodeId} at stage ${stage}`);
     
     // Use the fire manager to create a fire
-    this.fireManager.createFireMarker(nodeId, intensity);
+    this.fireManager.createFireMarker(nodeId, stage);
   }
   
   /**
    * Attempt to extinguish a fire
    * @param {number} nodeId - The ID of the node with fire
    * @param {Object} unit - The unit performing the action
-   * @returns {boolean} Whether extinguish was successful
+   * @returns {Object|null} Extinguish report, or null if unsuccessful
    */
   extinguishFire(nodeId, unit) {
     console.log(`Attempting to extinguish fire at node ${nodeId} with unit ${unit?.type || 'unknown'}`);
     
-    // Determine base extinguish amount
-    let amount = 1;
-    
     // Only firemen and fireboats can extinguish fire
     if (unit && ['firemen', 'fireboat'].includes(unit.type)) {
-      // Fireboats are more effective than firemen
-      amount = unit.type === 'fireboat' ? 2 : 1;
-      
       // Use the fire manager to handle extinguishing
-      return this.fireManager.extinguishFire(nodeId, amount, unit);
+      return this.fireManager.extinguishFire(nodeId, unit);
     } else {
       console.log('Only firemen and fireboats can extinguish fires');
-      return false;
+      return null;
     }
   }
   
@@ -1005,9 +2542,9 @@ class GameScene extends Phaser.Scene {
     }
     
     // Attempt to extinguish fire
-    const success = this.extinguishFire(nodeId, this.selectedUnit);
+    const report = this.extinguishFire(nodeId, this.selectedUnit);
     
-    if (success) {
+    if (report) {
       // Consume a fire control action
       this.turnManager.consumeAction('fire-control');
       
@@ -1015,11 +2552,18 @@ class GameScene extends Phaser.Scene {
       this.events.emit('fire-control-completed', {
         unitId: this.selectedUnit.id,
         nodeId: nodeId,
-        success: true
+        success: true,
+        leavesRubble: report.leavesRubble
       });
+      
+      // Refresh the reachable fires, then report what the box was left as
+      this.showExtinguishTargets(this.selectedUnit);
+      this.showStatusMessage(report.leavesRubble ? 
+        `Fire in box ${nodeId} put out at R: the box is permanent rubble` : 
+        `Fire in box ${nodeId} put out at stage ${report.stage}: the building is saved`);
     }
     
-    return success;
+    return report !== null;
   }
   
   /**
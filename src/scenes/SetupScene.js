@@ -553,7 +553,7 @@ class SetupScene extends Phaser.Scene {
     this.add.text(
       this.cameras.main.width / 2,
       520,
-      'Note: You cannot purchase more units than provided in the countermix.\nFiremen/fireboat units appear automatically if monster has fire breathing.',
+      'Note: You cannot purchase more units than provided in the countermix.\nFiremen/fireboat units arrive after the monster first breathes fire.',
       { fontSize: '14px', fill: '#FFAA00', align: 'center' }
     ).setOrigin(0.5);
     
@@ -571,16 +571,6 @@ class SetupScene extends Phaser.Scene {
         return;
       }
       
-      // If monster has fire breathing ability, add firemen/fireboat
-      if (this.setupState.monsterConfig.specialAbilities.includes('fireBreathing')) {
-        // Check if already added
-        if (!this.setupState.humanUnits.some(u => u.type === 'firemen')) {
-          // Add three firemen and one fireboat or four firemen (rulebook 11.31)
-          this.setupState.humanUnits.push({ type: 'firemen', quantity: 3, cost: 0 });
-          this.setupState.humanUnits.push({ type: 'fireboat', quantity: 1, cost: 0 });
-        }
-      }
-      
       this.showUnitPlacement();
     });
     
@@ -622,6 +612,12 @@ class SetupScene extends Phaser.Scene {
         return; // Helicopters not in learning scenario
       }
       
+      // Firefighting units arrive during play when the monster breathes fire (11.31)
+      if (['firemen', 'fireboat'].includes(unitType) && 
+          this.setupState.monsterConfig.specialAbilities.includes('fireBreathing')) {
+        return;
+      }
+      
       const stats = unitStats[unitType];
       const row = Math.floor(index / unitsPerRow);
       const col = index % unitsPerRow;
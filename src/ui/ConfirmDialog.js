@@ -0,0 +1,129 @@
+/**
+ * ConfirmDialog.js - Modal dialog asking the player to confirm or cancel an action
+ * Destroys itself once either button is clicked
+ */
+class ConfirmDialog extends Phaser.GameObjects.Container {
+  /**
+   * @param {Phaser.Scene} scene - The scene this UI element belongs to
+   * @param {Object} config - Dialog configuration
+   * @param {string} config.title - Title shown in the title bar
+   * @param {string} config.message - Question or explanation shown to the player
+   * @param {string} config.confirmLabel - Label of the confirm button
+   * @param {string} config.cancelLabel - Label of the cancel button
+   * @param {number} config.confirmColor - Fill color of the confirm button
+   * @param {number} config.cancelColor - Fill color of the cancel button
+   * @param {function} config.onConfirm - Called when the player confirms
+   * @param {function} config.onCancel - Called when the player cancels
+   */
+  constructor(scene, config = {}) {
+    super(scene, 0, 0);
+    
+    this.config = {
+      width: config.width || 340,
+      title: config.title || 'CONFIRM',
+      message: config.message || '',
+      confirmLabel: config.confirmLabel || 'CONFIRM',
+      cancelLabel: config.cancelLabel || 'CANCEL',
+      confirmColor: config.confirmColor || 0x005500,
+      cancelColor: config.cancelColor || 0x550000,
+      onConfirm: config.onConfirm || null,
+      onCancel: config.onCancel || null
+    };
+    
+    // Create UI components
+    this.createContent();
+    
+    // Add to scene and fix to camera
+    scene.add.existing(this);
+    this.setScrollFactor(0);
+    
+    // Keep the dialog above all other UI
+    this.setDepth(160);
+    
+    // Center on screen
+    this.setPosition(
+      scene.cameras.main.width / 2 - this.config.width / 2,
+      scene.cameras.main.height / 2 - this.dialogHeight / 2
+    );
+  }
+  
+  /**
+   * Create the background, texts and buttons
+   */
+  createContent() {
+    const width = this.config.width;
+    
+    // Message text determines the dialog height
+    const messageText = this.scene.add.text(width / 2, 55, this.config.message, {
+      fontSize: '14px',
+      fill: '#FFFFFF',
+      align: 'center',
+      wordWrap: { width: width - 40 }
+    }).setOrigin(0.5, 0);
+    
+    const height = 55 + messageText.height + 70;
+    this.dialogHeight = height;
+    
+    // Background swallows clicks so they don't reach the map underneath
+    const background = this.scene.add.rectangle(0, 0, width, height, 0x000000, 0.9);
+    background.setOrigin(0, 0);
+    background.setStrokeStyle(2, 0xFFCC00);
+    background.setInteractive();
+    this.add(background);
+    
+    // Title bar
+    const titleBar = this.scene.add.rectangle(0, 0, width, 40, 0x555555, 1);
+    titleBar.setOrigin(0, 0);
+    this.add(titleBar);
+    
+    const titleText = this.scene.add.text(width / 2, 20, this.config.title, {
+      fontSize: '18px',
+      fontStyle: 'bold',
+      fill: '#FFFFFF'
+    }).setOrigin(0.5, 0.5);
+    this.add(titleText);
+    
+    this.add(messageText);
+    
+    // Confirm and cancel buttons
+    const buttonY = height - 30;
+    this.createButton(this.config.confirmLabel, width / 2 - 80, buttonY, this.config.confirmColor, () => this.close(this.config.onConfirm));
+    this.createButton(this.config.cancelLabel, width / 2 + 80, buttonY, this.config.cancelColor, () => this.close(this.config.onCancel));
+  }
+  
+  /**
+   * Create a dialog button
+   * @param {string} label - Button label
+   * @param {number} x - X position of button
+   * @param {number} y - Y position of button
+   * @param {number} color - Fill color
+   * @param {function} callback - Function to call when clicked
+   */
+  createButton(label, x, y, color, callback) {
+    const button = this.scene.add.rectangle(x, y, 140, 34, color, 1);
+    button.setInteractive({ useHandCursor: true });
+    button.on('pointerdown', callback);
+    this.add(button);
+    
+    const text = this.scene.add.text(x, y, label, {
+      fontSize: '14px',
+      fontStyle: 'bold',
+      fill: '#FFFFFF'
+    }).setOrigin(0.5, 0.5);
+    this.add(text);
+  }
+  
+  /**
+   * Close the dialog and run the chosen callback
+   * @param {function} callback - Callback for the clicked button
+   */
+  close(callback) {
+    this.destroy();
+    
+    if (callback) {
+      callback();
+    }
+  }
+}
+
+export default ConfirmDialog;
@@ -0,0 +1,232 @@
+/**
+ * DamageAllocationPrompt.js - UI component for assigning damage to the monster
+ * Each point of damage is checked off against a strength of the Monster Player's choice (rule 12.1)
+ */
+class DamageAllocationPrompt extends Phaser.GameObjects.Container {
+  /**
+   * @param {Phaser.Scene} scene - The scene this UI element belongs to
+   * @param {number} x - X position of the prompt
+   * @param {number} y - Y position of the prompt
+   * @param {Object} config - Configuration options
+   */
+  constructor(scene, x, y, config = {}) {
+    super(scene, x, y);
+    
+    this.config = {
+      width: config.width || 320,
+      height: config.height || 260
+    };
+    
+    // Monster whose damage is being allocated
+    this.monster = null;
+    
+    // Create UI components
+    this.createBackground();
+    this.createHeader();
+    this.createStrengthButtons();
+    
+    // Add to scene and fix to camera
+    scene.add.existing(this);
+    this.setScrollFactor(0);
+    
+    // Keep the prompt above the dashboard and unit panel
+    this.setDepth(150);
+    
+    // Setup event listeners
+    this.setupEventListeners();
+    
+    // Hide until damage needs to be allocated
+    this.visible = false;
+  }
+  
+  /**
+   * Create prompt background
+   */
+  createBackground() {
+    this.background = this.scene.add.rectangle(
+      0, 0,
+      this.config.width, this.config.height,
+      0x000000, 0.9
+    );
+    this.background.setOrigin(0, 0);
+    this.background.setStrokeStyle(2, 0xFF0000);
+    
+    // Swallow clicks so they don't reach the map underneath
+    this.background.setInteractive();
+    this.add(this.background);
+    
+    // Create a title bar
+    this.titleBar = this.scene.add.rectangle(
+      0, 0,
+      this.config.width, 40,
+      0x770000, 1
+    );
+    this.titleBar.setOrigin(0, 0);
+    this.add(this.titleBar);
+  }
+  
+  /**
+   * Create prompt header
+   */
+  createHeader() {
+    this.titleText = this.scene.add.text(
+      this.config.width / 2, 20,
+      'MONSTER DAMAGE',
+      {
+        fontSize: '18px',
+        fontStyle: 'bold',
+        fill: '#FFFFFF'
+      }
+    ).setOrigin(0.5, 0.5);
+    this.add(this.titleText);
+    
+    // Points still to be assigned
+    this.pendingText = this.scene.add.text(
+      this.config.width / 2, 55,
+      '',
+      {
+        fontSize: '16px',
+        fontStyle: 'bold',
+        fill: '#FFFF00'
+      }
+    ).setOrigin(0.5, 0.5);
+    this.add(this.pendingText);
+    
+    // Reminder of when the monster dies
+    this.hintText = this.scene.add.text(
+      this.config.width / 2, this.config.height - 20,
+      'The monster is destroyed when Defense reaches 0',
+      {
+        fontSize: '12px',
+        fill: '#CCCCCC'
+      }
+    ).setOrigin(0.5, 0.5);
+    this.add(this.hintText);
+  }
+  
+  /**
+   * Create a button for each strength the damage can be assigned to
+   */
+  createStrengthButtons() {
+    this.strengthButtons = {};
+    const strengths = [
+      { key: 'attack', label: 'Attack' },
+      { key: 'defense', label: 'Defense' },
+      { key: 'buildingDestruction', label: 'Building Destruction' },
+      { key: 'movement', label: 'Movement' }
+    ];
+    
+    let yOffset = 90;
+    for (const strength of strengths) {
+      const button = this.scene.add.rectangle(
+        this.config.width / 2, yOffset,
+        260, 32,
+        0x555555, 1
+      );
+      button.setInteractive({ useHandCursor: true });
+      button.on('pointerdown', () => this.allocate(strength.key));
+      this.add(button);
+      
+      const text = this.scene.add.text(
+        this.config.width / 2, yOffset,
+        strength.label,
+        {
+          fontSize: '14px',
+          fontStyle: 'bold',
+          fill: '#FFFFFF'
+        }
+      ).setOrigin(0.5, 0.5);
+      this.add(text);
+      
+      this.strengthButtons[strength.key] = { button, text, label: strength.label };
+      yOffset += 38;
+    }
+  }
+  
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    // Damage waiting to be assigned opens the prompt
+    this.scene.events.on('monster-damage-pending', this.onDamagePending, this);
+    
+    // Each assigned point refreshes or closes it
+    this.scene.events.on('monster-damage-allocated', this.onDamageAllocated, this);
+  }
+  
+  /**
+   * Show the prompt for newly taken damage
+   * @param {Object} data - Event data with the damaged monster
+   */
+  onDamagePending(data) {
+    this.monster = data.monster;
+    this.show();
+  }
+  
+  /**
+   * Refresh the prompt after a point has been assigned
+   * @param {Object} data - Event data with the monster and points still pending
+   */
+  onDamageAllocated(data) {
+    if (data.pendingDamage > 0) {
+      this.updateFromMonster();
+    } else {
+      this.hide();
+    }
+  }
+  
+  /**
+   * Assign one point of damage to a strength
+   * @param {string} key - Strength key
+   */
+  allocate(key) {
+    if (!this.monster) return;
+    
+    this.monster.allocateDamage(key);
+  }
+  
+  /**
+   * Update texts and buttons with the monster's current strengths
+   */
+  updateFromMonster() {
+    if (!this.monster) return;
+    
+    const pending = this.monster.pendingDamage;
+    this.pendingText.setText(`Allocate ${pending} point${pending === 1 ? '' : 's'} of damage`);
+    
+    const damageable = this.monster.getDamageableStrengths();
+    for (const key in this.strengthButtons) {
+      const { button, text, label } = this.strengthButtons[key];
+      text.setText(`${label}: ${this.monster.strengths[key]}`);
+      
+      // Strengths already at zero can't absorb more damage
+      if (damageable.includes(key)) {
+        button.fillColor = key === 'defense' ? 0x773300 : 0x555555;
+        button.setInteractive({ useHandCursor: true });
+        text.setColor('#FFFFFF');
+      } else {
+        button.fillColor = 0x333333;
+        button.disableInteractive();
+        text.setColor('#777777');
+      }
+    }
+  }
+  
+  /**
+   * Show the prompt
+   */
+  show() {
+    this.updateFromMonster();
+    this.visible = true;
+  }
+  
+  /**
+   * Hide the prompt
+   */
+  hide() {
+    this.visible = false;
+    this.monster = null;
+  }
+}
+
+export default DamageAllocationPrompt;
@@ -242,6 +242,16 @@ class MonsterDashboard extends Phaser.GameObjects.Container {
     container.valueDisplay = valueDisplay;
     container.add(valueDisplay);
     
+    // In game, show the record sheet row of this strength next to its value
+    if (!this.config.isSetupPhase) {
+      valueDisplay.setX(-110);
+      
+      const recordSheet = this.scene.add.graphics();
+      recordSheet.y = 20;
+      container.recordSheet = recordSheet;
+      container.add(recordSheet);
+    }
+    
     // Only add adjustment controls in setup phase
     if (this.config.isSetupPhase) {
       // Decrement button
@@ -469,6 +479,12 @@ class MonsterDashboard extends Phaser.GameObjects.Container {
     // Listen for victory point changes
     this.scene.events.on('monster-vp-changed', this.updateVictoryPoints, this);
     
+    // Check off damage boxes as the Monster Player assigns them
+    this.scene.events.on('monster-damage-allocated', this.update, this);
+    
+    // Refresh ability charges when an ability is used
+    this.scene.events.on('monster-ability-used', this.update, this);
+    
     // Request dashboard button
     this.scene.events.on('show-monster-dashboard', this.show, this);
   }
@@ -503,13 +519,18 @@ class MonsterDashboard extends Phaser.GameObjects.Container {
         if (display) {
           display.setText(this.monster.strengths[key].toString());
         }
+        
+        // Redraw the checked-off damage boxes
+        this.drawRecordSheet(key);
       }
     }
     
     // Update abilities list
     if (!this.config.isSetupPhase && this.abilityListText) {
       if (this.monster.specialAbilities && this.monster.specialAbilities.length > 0) {
-        const abilityNames = this.monster.specialAbilities.map(this.formatAbilityName);
+        const abilityNames = this.monster.specialAbilities.map(ability => 
+          this.formatAbilityName(ability) + this.formatAbilityCharges(ability)
+        );
         this.abilityListText.setText(abilityNames.join('\n'));
       } else {
         this.abilityListText.setText('None');
@@ -520,6 +541,42 @@ class MonsterDashboard extends Phaser.GameObjects.Container {
     this.updateVictoryPoints();
   }
   
+  /**
+   * Draw one strength's row of the record sheet.
+   * Each box is one point of strength; boxes checked off by damage are crossed out.
+   * @param {string} key - Strength key to draw
+   */
+  drawRecordSheet(key) {
+    const control = this.strengthControls[key];
+    if (!control || !control.recordSheet || !this.monster) return;
+    
+    const checked = (this.monster.damageRecord && this.monster.damageRecord[key]) || 0;
+    const total = this.monster.strengths[key] + checked;
+    
+    // Shrink the boxes so that a row always fits beside the value
+    const rowWidth = 200;
+    const spacing = Math.min(14, rowWidth / Math.max(total, 1));
+    const size = spacing - 3;
+    const startX = -85;
+    
+    const graphics = control.recordSheet;
+    graphics.clear();
+    
+    for (let i = 0; i < total; i++) {
+      const x = startX + i * spacing;
+      const isChecked = i >= total - checked;
+      
+      graphics.fillStyle(isChecked ? 0x550000 : 0xFFFFFF, 1);
+      graphics.fillRect(x, -size / 2, size, size);
+      
+      if (isChecked) {
+        graphics.lineStyle(2, 0xFF0000, 1);
+        graphics.lineBetween(x, -size / 2, x + size, size / 2);
+        graphics.lineBetween(x, size / 2, x + size, -size / 2);
+      }
+    }
+  }
+  
   /**
    * Format ability name for display
    * @param {string} ability - Raw ability name
@@ -533,6 +590,19 @@ class MonsterDashboard extends Phaser.GameObjects.Container {
       .replace(/^./, str => str.toUpperCase());
   }
   
+  /**
+   * Describe the uses left of an ability limited by charges
+   * @param {string} ability - Raw ability name
+   * @returns {string} Charges suffix, or an empty string for unlimited abilities
+   */
+  formatAbilityCharges(ability) {
+    const charges = this.monster.abilityCharges && this.monster.abilityCharges[ability];
+    if (charges === undefined) return '';
+    
+    const active = ability === 'blindingLight' && this.monster.blindingLightActive ? ', active' : '';
+    return ` (${charges} use${charges === 1 ? '' : 's'} left${active})`;
+  }
+  
   /**
    * Update victory points display
    */
@@ -124,6 +124,9 @@ class TurnIndicator extends Phaser.GameObjects.Container {
     // Listen for action consumption
     this.scene.events.on('action-consumed', this.update, this);
     
+    // Listen for the monster spending its Destruction Point budget
+    this.scene.events.on('monster-destruction-attempt', this.update, this);
+    
     // Listen for turn start and end effects
     this.scene.events.on('turn-start-effects-applied', this.update, this);
     this.scene.events.on('turn-end-effects-applied', this.update, this);
@@ -97,6 +97,21 @@ class UnitPanel extends Phaser.GameObjects.Container {
     
     // Listen for phase changes to update available actions
     this.scene.events.on('sub-phase-changed', this.updateActions, this);
+    
+    // Listen for changes to the attack being built
+    this.scene.events.on('attack-group-changed', this.updateActions, this);
+    this.scene.events.on('monster-attack-changed', this.updateActions, this);
+    this.scene.events.on('controlled-unit-attack-changed', this.updateActions, this);
+    
+    // Listen for changes to the destruction attempt being prepared
+    this.scene.events.on('monster-destruction-changed', this.updateActions, this);
+    
+    // Listen for units changing hands through Mind Control
+    this.scene.events.on('unit-controller-changed', this.updateActions, this);
+    
+    // Listen for the monster taking off and landing
+    this.scene.events.on('monster-ability-used', this.updateActions, this);
+    this.scene.events.on('monster-landing-declared', this.updateActions, this);
   }
   
   /**
@@ -227,7 +242,10 @@ class UnitPanel extends Phaser.GameObjects.Container {
       '',
       `Current Node: ${unit.currentNodeId || 'N/A'}`,
       `Movement Points: ${unit.currentMovementPoints || 0}/${unit.stats?.movementPoints || 2}`,
-      unit.isTowed ? 'Being towed by armor' : ''
+      unit.isTowed ? 'Being towed by armor' : '',
+      unit.webbedPhases > 0 ? `Caught in web: ${unit.webbedPhases} Movement Phase(s) to cut free` : '',
+      unit.fearImmobilized ? 'Immobilized by fear: can\'t move this phase' : '',
+      this.scene.gameState.getController(unit) === 'monster' ? 'Mind-controlled by the monster' : ''
     ].join('\n');
     
     const state = this.scene.add.text(20, 100, stateText, {
@@ -308,7 +326,9 @@ class UnitPanel extends Phaser.GameObjects.Container {
       `Movement Points: ${monster.currentMovementPoints || 0}/${monster.strengths?.movement || 4}`,
       `Victory Points: ${monster.victoryPoints || 0}`,
       `Destruction Attempts: ${monster.remainingDestructionAttempts || 0}/3`,
-      monster.isFlying ? 'Currently Flying' : '',
+      `Destruction Points Left: ${monster.remainingDestructionPoints || 0}/${monster.strengths?.buildingDestruction || 0}`,
+      `Attack Strength Left: ${monster.remainingAttackStrength || 0}/${monster.strengths?.attack || 0}`,
+      monster.isFlying ? (monster.landingDeclared ? 'Airborne (stayed aloft)' : 'Currently Flying') : '',
       monster.isInWater ? 'In Water' : ''
     ].join('\n');
     
@@ -344,10 +364,18 @@ class UnitPanel extends Phaser.GameObjects.Container {
     
     const currentPhase = turnManager.currentPhase;
     const currentSubPhase = turnManager.currentSubPhase;
+    const controller = this.scene.gameState.getController(unit);
+    
+    // Mind-controlled units can be attacked in the Human Combat Phase
+    if (controller === 'monster' && currentPhase === 'human' && currentSubPhase === 'combat') {
+      this.createControlledTargetActions(unit);
+      return;
+    }
     
-    // Only show actions for human phase
-    if (currentPhase !== 'human') {
-      const noActionsText = this.scene.add.text(110, 20, 'No actions available\nduring monster turn', {
+    // Only show actions for the player controlling the unit
+    if (currentPhase !== controller) {
+      const noActionsText = this.scene.add.text(110, 20, controller === 'monster' ? 
+        'Controlled by the monster' : 'No actions available\nduring monster turn', {
         fontSize: '14px',
         fill: '#CCCCCC',
         align: 'center'
@@ -356,6 +384,11 @@ class UnitPanel extends Phaser.GameObjects.Container {
       return;
     }
     
+    if (controller === 'monster') {
+      this.createControlledUnitActions(unit, currentSubPhase);
+      return;
+    }
+    
     // Create actions based on the current sub-phase
     if (currentSubPhase === 'movement') {
       // Move action
@@ -365,10 +398,23 @@ class UnitPanel extends Phaser.GameObjects.Container {
       });
     }
     else if (currentSubPhase === 'combat') {
-      // Attack action
-      this.createActionButton('ATTACK', 110, 20, () => {
-        this.scene.events.emit('unit-action-attack', unit);
-      });
+      const attackGroup = this.scene.attackGroup;
+      
+      // Add the unit to the attack being built, or start a new one
+      if (attackGroup && attackGroup.attackers.includes(unit)) {
+        this.createActionButton('REMOVE FROM ATTACK', 110, 20, () => {
+          this.scene.events.emit('attack-group-remove', unit);
+        });
+      } else {
+        this.createActionButton(attackGroup ? 'ADD TO ATTACK' : 'ATTACK', 110, 20, () => {
+          this.scene.events.emit('unit-action-attack', unit);
+        });
+      }
+      
+      // Show the attack being built
+      if (attackGroup) {
+        this.createAttackGroupContent(this.scene.getAttackGroupSummary(), 50);
+      }
     }
     else if (currentSubPhase === 'fire-control') {
       // Only show for firemen and fireboats
@@ -387,6 +433,118 @@ class UnitPanel extends Phaser.GameObjects.Container {
     }
   }
   
+  /**
+   * Create actions for a unit the monster controls during the Monster Player's turn
+   * @param {Unit} unit - The selected mind-controlled unit
+   * @param {string} currentSubPhase - The current sub-phase
+   */
+  createControlledUnitActions(unit, currentSubPhase) {
+    if (currentSubPhase === 'movement') {
+      this.createActionButton('MOVE', 110, 20, () => {
+        this.scene.events.emit('unit-action-move', unit);
+      });
+    }
+    else if (currentSubPhase === 'combat') {
+      if (this.scene.controlledUnitAttack) {
+        this.createActionButton('CANCEL ATTACK', 110, 20, () => {
+          this.scene.events.emit('controlled-unit-attack-cancel');
+        });
+      } else {
+        this.createActionButton('ATTACK', 110, 20, () => {
+          this.scene.events.emit('controlled-unit-action-attack', unit);
+        });
+      }
+    }
+    else {
+      const noActionsText = this.scene.add.text(110, 20, 'No actions available\nthis phase', {
+        fontSize: '14px',
+        fill: '#CCCCCC',
+        align: 'center'
+      }).setOrigin(0.5, 0.5);
+      this.actionsContainer.add(noActionsText);
+    }
+  }
+  
+  /**
+   * Create actions for targeting a mind-controlled unit in the Human Combat Phase
+   * @param {Unit} unit - The selected mind-controlled unit
+   */
+  createControlledTargetActions(unit) {
+    const attackGroup = this.scene.attackGroup;
+    
+    // Show the attack already being built against this unit
+    if (attackGroup && attackGroup.defender === unit) {
+      this.createAttackGroupContent(this.scene.getAttackGroupSummary(), 20);
+      return;
+    }
+    
+    this.createActionButton('ATTACK THIS UNIT', 110, 20, () => {
+      this.scene.events.emit('attack-group-target', unit);
+    });
+  }
+  
+  /**
+   * Create the attack builder summary and its resolve/cancel buttons
+   * @param {Object} summary - Attack group summary from the game scene
+   * @param {number} y - Y position within the actions container
+   */
+  createAttackGroupContent(summary, y) {
+    if (!summary) return;
+    
+    const { attackers, defender, preview, groupRule } = summary;
+    const defenderName = defender.constructor.name === 'Monster' ? 'Monster' : `Controlled ${defender.type}`;
+    
+    // List the participating units and the combined odds
+    const summaryText = [
+      `ATTACK (${attackers.length} unit${attackers.length === 1 ? '' : 's'})`,
+      ...attackers.map(attacker => `- ${attacker.type} (${attacker.stats?.attack || 0})`),
+      preview ? `Total Strength: ${preview.attackerStrength}` : 'Select units to add',
+      preview ? `${defenderName} Defense: ${preview.defenderStrength}` : `Target: ${defenderName}`,
+      this.formatTerrainEffect(preview),
+      preview ? `Odds: ${preview.displayRatio}` : '',
+      groupRule
+    ].filter(Boolean).join('\n');
+    
+    const summaryLabel = this.scene.add.text(20, y, summaryText, {
+      fontSize: '12px',
+      fill: preview && preview.prohibited ? '#FF6666' : '#FFFFFF',
+      lineSpacing: 4
+    });
+    this.actionsContainer.add(summaryLabel);
+    
+    // Place the buttons below the summary
+    const buttonY = y + summaryLabel.height + 25;
+    
+    this.createActionButton('RESOLVE ATTACK', 110, buttonY, () => {
+      this.scene.events.emit('attack-group-resolve');
+    });
+    
+    this.createActionButton('CANCEL ATTACK', 110, buttonY + 40, () => {
+      this.scene.events.emit('attack-group-cancel');
+    });
+  }
+  
+  /**
+   * Describe the terrain effects applied to the defenders in a combat preview.
+   * Defenders exempt from terrain, like helicopters, are left out.
+   * @param {Object} preview - Combat preview from the combat manager
+   * @returns {string} Description, or an empty string if terrain has no effect
+   */
+  formatTerrainEffect(preview) {
+    if (!preview) return '';
+    
+    const affected = preview.terrainEffects.filter(effect => effect.multiplier > 1);
+    if (affected.length === 0) return '';
+    
+    const { multiplier, source } = affected[0];
+    if (affected.length === preview.terrainEffects.length) {
+      return `Defense x${multiplier} (${source})`;
+    }
+    
+    const names = affected.map(effect => effect.defender.type).join(', ');
+    return `Defense x${multiplier} for ${names} (${source})`;
+  }
+  
   /**
    * Create action buttons for monster
    * @param {Monster} monster - The selected monster
@@ -418,24 +576,51 @@ class UnitPanel extends Phaser.GameObjects.Container {
         this.scene.events.emit('monster-action-move', monster);
       });
       
-      // Flying ability (if monster has it)
+      // Flying ability (if monster has it), used before the monster moves
       if (monster.specialAbilities && monster.specialAbilities.includes('flying')) {
         const cooldown = monster.abilityCooldowns.flying;
         
-        if (cooldown <= 0) {
+        if (cooldown <= 0 && !monster.isFlying && !monster.movedThisTurn) {
           this.createActionButton('FLY', 110, 60, () => {
             this.scene.events.emit('monster-action-fly', monster);
           });
         }
       }
+      
+      // Mind control ability, once per game
+      if (monster.specialAbilities && monster.specialAbilities.includes('mindControl') &&
+          monster.abilityCharges.mindControl > 0) {
+        this.createActionButton('MIND CONTROL', 110, 100, () => {
+          this.scene.events.emit('monster-action-mind-control', monster);
+        });
+      }
     }
     else if (currentSubPhase === 'combat') {
-      // Attack action
-      this.createActionButton('ATTACK', 110, 20, () => {
-        this.scene.events.emit('monster-action-attack', monster);
-      });
+      if (this.scene.monsterAttack) {
+        // Show the attack being allocated
+        this.createMonsterAttackContent(this.scene.getMonsterAttackSummary(), 20);
+      } else if (!monster.canAttack || monster.canAttack()) {
+        // Attack action
+        this.createActionButton('ATTACK', 110, 20, () => {
+          this.scene.events.emit('monster-action-attack', monster);
+        });
+      } else {
+        const noAttacksText = this.scene.add.text(110, 20, monster.attacksHalted ? 
+          'Forced to retreat:\nno further attacks' : 'No attack strength\nremaining', {
+          fontSize: '14px',
+          fill: '#CCCCCC',
+          align: 'center'
+        }).setOrigin(0.5, 0.5);
+        this.actionsContainer.add(noAttacksText);
+      }
     }
     else if (currentSubPhase === 'destruction') {
+      if (this.scene.monsterDestruction) {
+        // Show the destruction attempt being prepared
+        this.createMonsterDestructionContent(this.scene.getMonsterDestructionSummary(), 20);
+        return;
+      }
+      
       // Destruction action
       this.createActionButton('DESTROY BUILDING', 110, 20, () => {
         this.scene.events.emit('monster-action-destroy', monster);
@@ -467,19 +652,178 @@ class UnitPanel extends Phaser.GameObjects.Container {
           yOffset += 40;
         }
       }
+      
+      // Blinding light ability, limited to its charges
+      if (monster.specialAbilities && monster.specialAbilities.includes('blindingLight')) {
+        const charges = monster.abilityCharges.blindingLight;
+        
+        if (charges > 0 && !monster.blindingLightActive) {
+          this.createActionButton(`BLINDING LIGHT (${charges})`, 110, yOffset, () => {
+            this.scene.events.emit('monster-action-blinding-light', monster);
+          });
+          yOffset += 40;
+        }
+      }
     }
   }
   
+  /**
+   * Create the monster attack allocation controls: strength used, targeted
+   * units in the chosen box, odds, and resolve/cancel buttons
+   * @param {Object} summary - Monster attack summary from the game scene
+   * @param {number} y - Y position within the actions container
+   */
+  createMonsterAttackContent(summary, y) {
+    if (!summary) return;
+    
+    // Waiting for the target box to be chosen
+    if (summary.nodeId === null) {
+      const promptText = this.scene.add.text(110, y, 'Click a highlighted box\nto choose targets', {
+        fontSize: '14px',
+        fill: '#FFCC00',
+        align: 'center'
+      }).setOrigin(0.5, 0.5);
+      this.actionsContainer.add(promptText);
+      
+      this.createActionButton('CANCEL ATTACK', 110, y + 40, () => {
+        this.scene.events.emit('monster-attack-cancel');
+      });
+      return;
+    }
+    
+    // Strength allocated to this attack
+    this.createActionButton('-', 35, y, () => {
+      this.scene.events.emit('monster-attack-adjust-strength', -1);
+    }, 30);
+    
+    const strengthText = this.scene.add.text(110, y, `Strength: ${summary.strength}/${summary.remaining}`, {
+      fontSize: '14px',
+      fill: '#FFFFFF'
+    }).setOrigin(0.5, 0.5);
+    this.actionsContainer.add(strengthText);
+    
+    this.createActionButton('+', 185, y, () => {
+      this.scene.events.emit('monster-attack-adjust-strength', 1);
+    }, 30);
+    
+    // One toggle per unit in the target box
+    let rowY = y + 40;
+    summary.units.forEach(unit => {
+      const targeted = summary.defenders.includes(unit);
+      const label = `${targeted ? '[X]' : '[ ]'} ${unit.type.toUpperCase()} (${unit.stats?.defense || 0})`;
+      
+      this.createActionButton(label, 110, rowY, () => {
+        this.scene.events.emit('monster-attack-toggle-target', unit);
+      });
+      rowY += 35;
+    });
+    
+    // Odds, or the reason the allocation cannot be resolved
+    let statusMessage = 'Choose at least one unit';
+    if (summary.restriction) {
+      statusMessage = summary.restriction;
+    } else if (summary.preview) {
+      statusMessage = [
+        `${summary.preview.attackerStrength} vs ${summary.preview.defenderStrength} - Odds: ${summary.preview.displayRatio}`,
+        this.formatTerrainEffect(summary.preview),
+        summary.isRanged ? 'Lightning: no results against the monster' : ''
+      ].filter(Boolean).join('\n');
+    }
+    
+    const statusText = this.scene.add.text(110, rowY, statusMessage, {
+      fontSize: '12px',
+      fill: summary.restriction || summary.preview?.prohibited ? '#FF6666' : '#FFFFFF',
+      align: 'center',
+      wordWrap: { width: 190 }
+    }).setOrigin(0.5, 0);
+    this.actionsContainer.add(statusText);
+    
+    const buttonY = rowY + statusText.height + 25;
+    
+    this.createActionButton('RESOLVE ATTACK', 110, buttonY, () => {
+      this.scene.events.emit('monster-attack-resolve');
+    });
+    
+    this.createActionButton('CANCEL ATTACK', 110, buttonY + 40, () => {
+      this.scene.events.emit('monster-attack-cancel');
+    });
+  }
+  
+  /**
+   * Create the destruction attempt controls: Destruction Points committed,
+   * target box, odds, and resolve/cancel buttons
+   * @param {Object} summary - Destruction summary from the game scene
+   * @param {number} y - Y position within the actions container
+   */
+  createMonsterDestructionContent(summary, y) {
+    if (!summary) return;
+    
+    // Waiting for the target box to be chosen
+    if (summary.nodeId === null) {
+      const promptText = this.scene.add.text(110, y, 'Click a highlighted box\nto destroy', {
+        fontSize: '14px',
+        fill: '#FFCC00',
+        align: 'center'
+      }).setOrigin(0.5, 0.5);
+      this.actionsContainer.add(promptText);
+      
+      this.createActionButton('CANCEL', 110, y + 40, () => {
+        this.scene.events.emit('monster-destruction-cancel');
+      });
+      return;
+    }
+    
+    // Destruction Points committed to this attempt
+    this.createActionButton('-', 35, y, () => {
+      this.scene.events.emit('monster-destruction-adjust-points', -1);
+    }, 30);
+    
+    const pointsText = this.scene.add.text(110, y, `Points: ${summary.points}/${summary.remaining}`, {
+      fontSize: '14px',
+      fill: '#FFFFFF'
+    }).setOrigin(0.5, 0.5);
+    this.actionsContainer.add(pointsText);
+    
+    this.createActionButton('+', 185, y, () => {
+      this.scene.events.emit('monster-destruction-adjust-points', 1);
+    }, 30);
+    
+    // Odds, or the reason the attempt cannot be made
+    const statusMessage = summary.restriction || [
+      `${summary.terrainName} (strength ${summary.boxStrength})`,
+      `${summary.points} vs ${summary.boxStrength} - Odds: ${summary.odds}`
+    ].join('\n');
+    
+    const statusText = this.scene.add.text(110, y + 30, statusMessage, {
+      fontSize: '12px',
+      fill: summary.restriction ? '#FF6666' : '#FFFFFF',
+      align: 'center',
+      wordWrap: { width: 190 }
+    }).setOrigin(0.5, 0);
+    this.actionsContainer.add(statusText);
+    
+    const buttonY = y + 30 + statusText.height + 25;
+    
+    this.createActionButton('ROLL FOR DESTRUCTION', 110, buttonY, () => {
+      this.scene.events.emit('monster-destruction-resolve');
+    });
+    
+    this.createActionButton('CANCEL', 110, buttonY + 40, () => {
+      this.scene.events.emit('monster-destruction-cancel');
+    });
+  }
+  
   /**
    * Create an action button
    * @param {string} label - Button label
    * @param {number} x - X position of button
    * @param {number} y - Y position of button
    * @param {function} callback - Function to call when clicked
+   * @param {number} width - Button width
    */
-  createActionButton(label, x, y, callback) {
+  createActionButton(label, x, y, callback, width = 180) {
     // Create button background
-    const button = this.scene.add.rectangle(x, y, 180, 30, 0x555555, 1);
+    const button = this.scene.add.rectangle(x, y, width, 30, 0x555555, 1);
     button.setInteractive({ useHandCursor: true });
     button.on('pointerdown', callback);
     button.on('pointerover', () => button.fillColor = 0x777777);
@@ -0,0 +1,315 @@
+/**
+ * LineOfSight - Traces lines of sight between map boxes (rule 6.12)
+ * Box shapes come from the Terrain object layer of the Tiled map
+ */
+
+// Terrain types that block a line of sight, by sight mode
+const BLOCKING_TERRAIN = {
+  // Only high and low building boxes block normal lines of sight
+  default: ['lowBuilding', 'highBuilding'],
+  
+  // Lightning is thrown over low buildings (13.13)
+  lightning: ['highBuilding']
+};
+
+// Half size of the square used for boxes missing from the Terrain layer
+const FALLBACK_BOX_HALF_SIZE = 40;
+
+// Lines may graze the edge of a blocking box by this many pixels
+const EDGE_TOLERANCE = 1;
+
+class LineOfSight {
+  /**
+   * @param {MapManager} mapManager - Map manager holding the movement nodes
+   * @param {object} tilemapData - Parsed Tiled map JSON containing a Terrain object layer
+   */
+  constructor(mapManager, tilemapData) {
+    this.mapManager = mapManager;
+    
+    // Polygons of the Terrain object layer
+    this.terrainPolygons = this.loadTerrainPolygons(tilemapData);
+    
+    // Node ID -> polygon of the box the node sits in
+    this.boxPolygons = {};
+    this.buildBoxPolygons();
+  }
+  
+  /**
+   * Read the object polygons from the Terrain layer
+   * @param {object} tilemapData - Parsed Tiled map JSON
+   * @returns {array} Array of polygons (arrays of {x, y} points)
+   */
+  loadTerrainPolygons(tilemapData) {
+    if (!tilemapData || !tilemapData.layers) {
+      console.warn('LineOfSight: no tilemap data, using fallback box shapes');
+      return [];
+    }
+    
+    const terrainLayer = tilemapData.layers.find(layer =>
+      layer.type === 'objectgroup' && layer.name === 'Terrain'
+    );
+    
+    if (!terrainLayer) {
+      console.warn('LineOfSight: Terrain object layer not found, using fallback box shapes');
+      return [];
+    }
+    
+    return terrainLayer.objects
+      .map(object => this.getObjectPolygon(object))
+      .filter(polygon => polygon.length >= 3);
+  }
+  
+  /**
+   * Convert a Tiled object into a polygon in map coordinates
+   * @param {object} object - Tiled object (rectangle or polygon)
+   * @returns {array} Array of {x, y} points
+   */
+  getObjectPolygon(object) {
+    // Polygon objects list their points relative to the object position
+    const localPoints = object.polygon ? object.polygon : [
+      { x: 0, y: 0 },
+      { x: object.width, y: 0 },
+      { x: object.width, y: object.height },
+      { x: 0, y: object.height }
+    ];
+    
+    // Tiled rotates objects clockwise (in degrees) around their position
+    const angle = (object.rotation || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    
+    return localPoints.map(point => ({
+      x: object.x + point.x * cos - point.y * sin,
+      y: object.y + point.x * sin + point.y * cos
+    }));
+  }
+  
+  /**
+   * Match every node to the terrain polygon that contains it
+   */
+  buildBoxPolygons() {
+    this.boxPolygons = {};
+    
+    Object.values(this.mapManager.nodes).forEach(node => {
+      const polygon = this.terrainPolygons.find(candidate =>
+        this.isPointInPolygon(node, candidate)
+      );
+      
+      if (polygon) {
+        this.boxPolygons[node.id] = polygon;
+      } else {
+        // Approximate boxes missing from the Terrain layer with a square
+        this.boxPolygons[node.id] = [
+          { x: node.x - FALLBACK_BOX_HALF_SIZE, y: node.y - FALLBACK_BOX_HALF_SIZE },
+          { x: node.x + FALLBACK_BOX_HALF_SIZE, y: node.y - FALLBACK_BOX_HALF_SIZE },
+          { x: node.x + FALLBACK_BOX_HALF_SIZE, y: node.y + FALLBACK_BOX_HALF_SIZE },
+          { x: node.x - FALLBACK_BOX_HALF_SIZE, y: node.y + FALLBACK_BOX_HALF_SIZE }
+        ];
+      }
+    });
+    
+    const matched = Object.values(this.boxPolygons)
+      .filter(polygon => this.terrainPolygons.includes(polygon)).length;
+    console.log(`LineOfSight: matched ${matched} of ${Object.keys(this.boxPolygons).length} boxes to terrain polygons`);
+  }
+  
+  /**
+   * Get the polygon of a box
+   * @param {number} nodeId - The ID of the box's node
+   * @returns {array|null} Array of {x, y} points or null if the node is unknown
+   */
+  getBoxPolygon(nodeId) {
+    return this.boxPolygons[nodeId] || null;
+  }
+  
+  /**
+   * Get the terrain types that block the sight of a viewer
+   * @param {Unit|Monster} viewer - The unit tracing the line of sight
+   * @param {string} mode - Sight mode ('default' or 'lightning')
+   * @returns {array} Blocking terrain types
+   */
+  getBlockingTerrain(viewer, mode = 'default') {
+    // Nothing ever blocks the LOS of a helicopter - it flies above blocking terrain
+    if (viewer && viewer.type === 'helicopter') {
+      return [];
+    }
+    
+    return BLOCKING_TERRAIN[mode] || BLOCKING_TERRAIN.default;
+  }
+  
+  /**
+   * Check whether a line of sight can be traced between two boxes.
+   * A line of sight exists if any straight line from any part of one box to
+   * any part of the other avoids every blocking box in between.
+   * @param {number} fromNodeId - The viewer's box
+   * @param {number} toNodeId - The target's box
+   * @param {Unit|Monster} viewer - The unit tracing the line of sight
+   * @param {string} mode - Sight mode ('default' or 'lightning')
+   * @returns {boolean} True if the line of sight is clear
+   */
+  hasLineOfSight(fromNodeId, toNodeId, viewer = null, mode = 'default') {
+    fromNodeId = parseInt(fromNodeId);
+    toNodeId = parseInt(toNodeId);
+    
+    if (fromNodeId === toNodeId) return true;
+    
+    const fromPolygon = this.getBoxPolygon(fromNodeId);
+    const toPolygon = this.getBoxPolygon(toNodeId);
+    if (!fromPolygon || !toPolygon) return false;
+    
+    const blockingTerrain = this.getBlockingTerrain(viewer, mode);
+    if (blockingTerrain.length === 0) return true;
+    
+    // Collect the boxes that could block this line
+    const blockers = Object.values(this.mapManager.nodes)
+      .filter(node =>
+        node.id !== fromNodeId &&
+        node.id !== toNodeId &&
+        blockingTerrain.includes(node.terrainType)
+      )
+      .map(node => this.getBoxPolygon(node.id))
+      .filter(polygon => polygon && polygon !== fromPolygon && polygon !== toPolygon);
+    
+    if (blockers.length === 0) return true;
+    
+    // Try lines between sample points of both boxes
+    const fromPoints = this.getSamplePoints(fromPolygon);
+    const toPoints = this.getSamplePoints(toPolygon);
+    
+    return fromPoints.some(start =>
+      toPoints.some(end =>
+        !blockers.some(polygon => this.segmentCrossesPolygon(start, end, polygon))
+      )
+    );
+  }
+  
+  /**
+   * Get points on a box used as line of sight end points
+   * @param {array} polygon - Array of {x, y} points
+   * @returns {array} Corners, edge midpoints and centroid of the polygon
+   */
+  getSamplePoints(polygon) {
+    const points = [...polygon];
+    
+    polygon.forEach((point, index) => {
+      const next = polygon[(index + 1) % polygon.length];
+      points.push({ x: (point.x + next.x) / 2, y: (point.y + next.y) / 2 });
+    });
+    
+    points.push({
+      x: polygon.reduce((sum, point) => sum + point.x, 0) / polygon.length,
+      y: polygon.reduce((sum, point) => sum + point.y, 0) / polygon.length
+    });
+    
+    return points;
+  }
+  
+  /**
+   * Check whether a line segment passes through the inside of a polygon.
+   * Lines that only run along or touch the polygon's edges are not blocked.
+   * @param {object} start - {x, y} start of the segment
+   * @param {object} end - {x, y} end of the segment
+   * @param {array} polygon - Array of {x, y} points
+   * @returns {boolean} True if part of the segment lies inside the polygon
+   */
+  segmentCrossesPolygon(start, end, polygon) {
+    // Find where the segment crosses the polygon's edges
+    const crossings = [0, 1];
+    
+    polygon.forEach((point, index) => {
+      const next = polygon[(index + 1) % polygon.length];
+      const t = this.getSegmentIntersection(start, end, point, next);
+      if (t !== null) crossings.push(t);
+    });
+    
+    crossings.sort((a, b) => a - b);
+    
+    // Each piece between crossings is either fully inside or fully outside
+    for (let i = 0; i < crossings.length - 1; i++) {
+      const mid = (crossings[i] + crossings[i + 1]) / 2;
+      const point = {
+        x: start.x + (end.x - start.x) * mid,
+        y: start.y + (end.y - start.y) * mid
+      };
+      
+      if (this.isPointInPolygon(point, polygon) &&
+          this.getDistanceToEdges(point, polygon) > EDGE_TOLERANCE) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Find where segment AB crosses segment CD
+   * @param {object} a - {x, y} start of the first segment
+   * @param {object} b - {x, y} end of the first segment
+   * @param {object} c - {x, y} start of the second segment
+   * @param {object} d - {x, y} end of the second segment
+   * @returns {number|null} Position along AB (0-1) or null if they don't cross
+   */
+  getSegmentIntersection(a, b, c, d) {
+    const denominator = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+    
+    // Parallel segments never cross at a single point
+    if (denominator === 0) return null;
+    
+    const t = ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / denominator;
+    const u = ((c.x - a.x) * (b.y - a.y) - (c.y - a.y) * (b.x - a.x)) / denominator;
+    
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    
+    return t;
+  }
+  
+  /**
+   * Check whether a point lies inside a polygon (ray casting)
+   * @param {object} point - {x, y} point
+   * @param {array} polygon - Array of {x, y} points
+   * @returns {boolean} True if the point is inside
+   */
+  isPointInPolygon(point, polygon) {
+    let inside = false;
+    
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    
+    return inside;
+  }
+  
+  /**
+   * Get the distance from a point to the nearest edge of a polygon
+   * @param {object} point - {x, y} point
+   * @param {array} polygon - Array of {x, y} points
+   * @returns {number} Distance in pixels
+   */
+  getDistanceToEdges(point, polygon) {
+    let closest = Infinity;
+    
+    polygon.forEach((a, index) => {
+      const b = polygon[(index + 1) % polygon.length];
+      const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+      
+      // Project the point onto the edge, clamped to its ends
+      let t = lengthSquared === 0 ? 0 :
+        ((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / lengthSquared;
+      t = Math.max(0, Math.min(1, t));
+      
+      const dx = point.x - (a.x + t * (b.x - a.x));
+      const dy = point.y - (a.y + t * (b.y - a.y));
+      closest = Math.min(closest, Math.sqrt(dx * dx + dy * dy));
+    });
+    
+    return closest;
+  }
+}
+
+export default LineOfSight;
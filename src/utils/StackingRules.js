@@ -0,0 +1,143 @@
+/**
+ * StackingRules - Limits on how many human units may share a box (rules 5.21-5.22)
+ * Queried by movement, retreats, placement and arriving units
+ */
+
+// Human units allowed in one non-river box
+const STACKING_LIMIT = 2;
+
+// Unit types that never count toward the stacking limit
+const EXEMPT_TYPES = ['helicopter', 'firemen', 'populace'];
+
+class StackingRules {
+  /**
+   * @param {GameState} gameState - Game state tracking the contents of each box
+   * @param {MapManager} mapManager - Map manager holding the movement nodes
+   */
+  constructor(gameState, mapManager) {
+    this.gameState = gameState;
+    this.mapManager = mapManager;
+  }
+  
+  /**
+   * Check whether a unit counts toward the stacking limit
+   * @param {Unit|string} unit - Unit, or unit type
+   * @returns {boolean} True if the unit counts
+   */
+  countsTowardLimit(unit) {
+    const type = typeof unit === 'string' ? unit : unit.type;
+    return !EXEMPT_TYPES.includes(type);
+  }
+  
+  /**
+   * Get the number of counting units a box may hold
+   * @param {number} nodeId - ID of the box
+   * @returns {number} Stacking limit of the box
+   */
+  getLimit(nodeId) {
+    const node = this.mapManager.nodes[nodeId];
+    
+    // River boxes have no stacking limit
+    if (node && node.terrainType === 'river') return Infinity;
+    
+    return STACKING_LIMIT;
+  }
+  
+  /**
+   * Count the units in a box that count toward the stacking limit
+   * @param {number} nodeId - ID of the box
+   * @param {Array<Unit|Object>} [extraUnits] - Units about to be added, e.g. planned placements
+   * @param {Unit} [ignoredUnit] - Unit to leave out of the count, e.g. the one moving
+   * @returns {number} Number of counting units
+   */
+  getStackCount(nodeId, extraUnits = [], ignoredUnit = null) {
+    const units = this.gameState.getUnitsAtNode(nodeId).filter(unit => unit !== ignoredUnit);
+    
+    return [...units, ...extraUnits].filter(unit => this.countsTowardLimit(unit)).length;
+  }
+  
+  /**
+   * Check whether a box holds a monster
+   * @param {number} nodeId - ID of the box
+   * @returns {boolean} True if a monster is in the box
+   */
+  isMonsterBox(nodeId) {
+    return this.gameState.getMonstersAtNode(nodeId).length > 0;
+  }
+  
+  /**
+   * Check whether a monster keeps a unit out of its box. A landed monster
+   * closes its box to every human unit (5.22); an airborne one only to
+   * helicopters (13.28).
+   * @param {Unit|Object} unit - Unit (or {type}) entering the box
+   * @param {number} nodeId - ID of the box
+   * @returns {boolean} True if the unit may not enter
+   */
+  isClosedByMonster(unit, nodeId) {
+    return this.gameState.getMonstersAtNode(nodeId).some(monster => 
+      !monster.isFlying || unit.type === 'helicopter'
+    );
+  }
+  
+  /**
+   * Check whether a unit may enter a box at all, even just passing through
+   * @param {Unit|Monster} unit - The moving unit
+   * @param {number} nodeId - ID of the box
+   * @returns {boolean} True if the unit may enter
+   */
+  canEnter(unit, nodeId) {
+    if (!unit || unit.constructor.name === 'Monster') return true;
+    
+    return !this.isClosedByMonster(unit, nodeId);
+  }
+  
+  /**
+   * Check whether adding a unit to a box would exceed its stacking limit
+   * @param {Unit|Object} unit - Unit (or {type}) entering the box
+   * @param {number} nodeId - ID of the box
+   * @param {Array<Unit|Object>} [extraUnits] - Other units about to be added
+   * @returns {boolean} True if the box would hold too many units
+   */
+  wouldOverstack(unit, nodeId, extraUnits = []) {
+    if (!this.countsTowardLimit(unit)) return false;
+    
+    return this.getStackCount(nodeId, extraUnits, unit) + 1 > this.getLimit(nodeId);
+  }
+  
+  /**
+   * Check whether a unit may end its move, retreat or be placed in a box
+   * @param {Unit|Object} unit - Unit (or {type}) ending up in the box
+   * @param {number} nodeId - ID of the box
+   * @param {Array<Unit|Object>} [extraUnits] - Other units about to be added
+   * @returns {boolean} True if the unit may stay in the box
+   */
+  canOccupy(unit, nodeId, extraUnits = []) {
+    return !this.isClosedByMonster(unit, nodeId) && !this.wouldOverstack(unit, nodeId, extraUnits);
+  }
+  
+  /**
+   * Find every box currently holding more units than its stacking limit.
+   * Limits are only checked at the end of movement, so a phase can't end while any remain.
+   * @returns {Array<Object>} Illegal stacks as { nodeId, count, limit }
+   */
+  getIllegalStacks() {
+    const nodeIds = new Set();
+    for (const unit of this.gameState.units.values()) {
+      nodeIds.add(unit.currentNodeId);
+    }
+    
+    const illegal = [];
+    for (const nodeId of nodeIds) {
+      const count = this.getStackCount(nodeId);
+      const limit = this.getLimit(nodeId);
+      
+      if (count > limit) {
+        illegal.push({ nodeId, count, limit });
+      }
+    }
+    
+    return illegal;
+  }
+}
+
+export default StackingRules;
@@ -0,0 +1,81 @@
+import helpers from './helpers.js';
+
+/**
+ * WindDiagram - Wind directions from the map's Wind Diagram (rules 11.21-11.24)
+ * Each direction is the way the wind blows, as a unit vector in map coordinates,
+ * loaded from the map data by MapManager
+ */
+
+const WindDiagram = {
+  // Die roll -> { name, x, y }; rolls without a direction mean calm
+  directions: {},
+  
+  // Wind direction value used for calm air
+  CALM: 0,
+  
+  /**
+   * Load the directions printed on the map's Wind Diagram
+   * @param {Array<Object>} entries - Directions as { roll, name, x, y }
+   */
+  load(entries = []) {
+    this.directions = {};
+    entries.forEach(entry => {
+      this.directions[entry.roll] = { name: entry.name, x: entry.x, y: entry.y };
+    });
+  },
+  
+  /**
+   * Get the wind direction for a die roll
+   * @param {number} dieRoll - Die roll (1-6)
+   * @returns {number} Wind direction, or CALM on a roll without one
+   */
+  getDirection(dieRoll) {
+    return this.directions[dieRoll] ? dieRoll : this.CALM;
+  },
+  
+  /**
+   * Check whether the air is calm
+   * @param {number} direction - Wind direction
+   * @returns {boolean} True if no wind is blowing
+   */
+  isCalm(direction) {
+    return !this.directions[direction];
+  },
+  
+  /**
+   * Get a readable name for a wind direction
+   * @param {number} direction - Wind direction
+   * @returns {string} Direction name, or 'Calm'
+   */
+  getName(direction) {
+    return this.isCalm(direction) ? 'Calm' : this.directions[direction].name;
+  },
+  
+  /**
+   * Get the way a wind direction points on the map
+   * @param {number} direction - Wind direction
+   * @returns {number} Clockwise rotation from north in radians, or 0 when calm
+   */
+  getRotation(direction) {
+    if (this.isCalm(direction)) return 0;
+    
+    const wind = this.directions[direction];
+    return Math.atan2(wind.x, -wind.y);
+  },
+  
+  /**
+   * Check whether the wind blows from one box towards another
+   * @param {Object} fromNode - Node the wind blows from ({x, y})
+   * @param {Object} toNode - Node the wind blows towards ({x, y})
+   * @param {number} direction - Wind direction
+   * @returns {boolean} True if toNode is downwind of fromNode
+   */
+  isDownwind(fromNode, toNode, direction) {
+    if (this.isCalm(direction)) return false;
+    
+    const toward = { x: toNode.x - fromNode.x, y: toNode.y - fromNode.y };
+    return helpers.isAligned(toward, this.directions[direction]);
+  }
+};
+
+export default WindDiagram;
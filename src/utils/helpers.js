@@ -0,0 +1,23 @@
+/**
+ * helpers.js - Small geometry helpers shared by the map and fire rules
+ */
+
+// Smallest cosine between two directions that still counts as lining up (45 degrees)
+const ALIGNED_COSINE = Math.SQRT1_2;
+
+const helpers = {
+  /**
+   * Check whether two directions point within 45 degrees of each other
+   * @param {Object} a - First direction as a vector ({x, y})
+   * @param {Object} b - Second direction as a vector ({x, y})
+   * @returns {boolean} True if they line up; false if either has no length
+   */
+  isAligned(a, b) {
+    const lengths = Math.hypot(a.x, a.y) * Math.hypot(b.x, b.y);
+    if (lengths === 0) return false;
+    
+    return (a.x * b.x + a.y * b.y) / lengths >= ALIGNED_COSINE;
+  }
+};
+
+export default helpers;